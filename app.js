@@ -6,9 +6,15 @@ var cookieParser = require('cookie-parser');
 var logger = require('morgan');
 const { apiResponseInterceptor, errorLoggerMiddleware } = require('./lib/errorLogger');
 const scheduler = require('./lib/scheduler');
+const syncQueue = require('./lib/syncQueue');
+const secrets = require('./lib/secrets');
 
-// 初始化定时任务
+// 未配置 CONFIG_ENCRYPTION_KEY 时无法读写 Notion 密钥，启动时直接报错退出
+secrets.deriveKey();
+
+// 初始化定时任务与同步任务队列
 scheduler.init();
+syncQueue.init();
 
 var indexRouter = require('./routes/index');
 var usersRouter = require('./routes/users');
@@ -24,7 +30,14 @@ app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'pug');
 
 app.use(logger('dev'));
-app.use(express.json());
+// Webhook 需要原始请求体校验签名
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
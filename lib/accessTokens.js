@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+/**
+ * 个人访问令牌 (供脚本、BI 工具调用 API)
+ * 令牌格式为 nsp_<随机串>，只在创建时返回一次，库中只保存 SHA-256 哈希
+ * 每个令牌限定若干权限范围，只能访问 ROUTE_SCOPES 中列出的接口
+ */
+
+const PREFIX = 'nsp_';
+// 列表中展示的令牌前缀长度 (含 nsp_)
+const DISPLAY_LENGTH = 12;
+const MAX_PER_USER = 20;
+const MAX_EXPIRES_DAYS = 365;
+// last_used_at 的最小更新间隔 (秒)，避免每个请求都写库
+const TOUCH_INTERVAL = 60;
+
+// 可用的权限范围
+const SCOPES = {
+    'data:read': '读取同步后的数据、行关系与历史',
+    'data:write': '新增、修改数据行并回写 Notion',
+    'sync:notion': '触发同步、查看与管理同步任务',
+    'charts:read': '读取图表与预览图表数据',
+    'charts:write': '创建、修改、删除图表'
+};
+
+// 接口与所需权限范围 (路径为挂载后的完整路径)，未列出的接口不接受访问令牌
+const ROUTE_SCOPES = [
+    ['GET', /^\/api\/databases$/, 'data:read'],
+    ['GET', /^\/api\/data\/[^/]+$/, 'data:read'],
+    ['GET', /^\/api\/data\/[^/]+\/rows\/[^/]+\/(relations|history)$/, 'data:read'],
+    ['GET', /^\/api\/data\/[^/]+\/page\/[^/]+$/, 'data:read'],
+    ['POST', /^\/api\/data\/[^/]+\/rows$/, 'data:write'],
+    ['PUT', /^\/api\/data\/[^/]+\/rows\/[^/]+$/, 'data:write'],
+    ['POST', /^\/api\/sync(\/[^/]+)?$/, 'sync:notion'],
+    ['GET', /^\/api\/sync\/jobs(\/[^/]+)?$/, 'sync:notion'],
+    ['POST', /^\/api\/sync\/jobs\/[^/]+\/(cancel|retry)$/, 'sync:notion'],
+    ['POST', /^\/api\/data\/[^/]+\/page\/[^/]+\/sync$/, 'sync:notion'],
+    ['GET', /^\/api\/charts\/consumption\/daily(\/details)?$/, 'charts:read'],
+    ['GET', /^\/api\/charts(\/[^/]+)?$/, 'charts:read'],
+    ['POST', /^\/api\/charts\/preview$/, 'charts:read'],
+    ['POST', /^\/api\/charts$/, 'charts:write'],
+    ['PUT', /^\/api\/charts\/[^/]+$/, 'charts:write'],
+    ['DELETE', /^\/api\/charts\/[^/]+$/, 'charts:write']
+];
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const tokenError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_ACCESS_TOKEN';
+    return error;
+};
+
+/**
+ * 是否为个人访问令牌 (区别于登录签发的 JWT)
+ */
+function isAccessToken(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * 请求所需的权限范围
+ * @param {string} method
+ * @param {string} path 完整路径，如 /api/data/xxx
+ * @returns {string|null} 不接受访问令牌的接口返回 null
+ */
+function requiredScope(method, path) {
+    const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+    const route = ROUTE_SCOPES.find(([m, pattern]) => m === method && pattern.test(normalized));
+    return route ? route[2] : null;
+}
+
+const parseScopes = (value) => (typeof value === 'string' ? JSON.parse(value) : value) || [];
+
+const present = (row) => ({
+    id: row.id,
+    name: row.name,
+    tokenPrefix: row.token_prefix,
+    scopes: parseScopes(row.scopes),
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    createdAt: row.created_at
+});
+
+/**
+ * 创建令牌
+ * @param {number} userId
+ * @param {Object} options { name, scopes, expiresInDays } expiresInDays 为空表示永不过期
+ * @returns {Object} { token, ...令牌信息 } token 明文只返回这一次
+ * @throws {Error} 参数不合法时 code 为 INVALID_ACCESS_TOKEN
+ */
+async function create(userId, { name, scopes, expiresInDays = null } = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+        throw tokenError('name is required (at most 100 characters)');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw tokenError(`scopes must be a non-empty array of: ${Object.keys(SCOPES).join(', ')}`);
+    }
+    const unknown = scopes.filter(scope => !SCOPES[scope]);
+    if (unknown.length > 0) {
+        throw tokenError(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+    let days = null;
+    if (expiresInDays !== null && expiresInDays !== undefined && expiresInDays !== '') {
+        days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRES_DAYS) {
+            throw tokenError(`expiresInDays must be an integer between 1 and ${MAX_EXPIRES_DAYS}`);
+        }
+    }
+
+    const [{ count }] = await db.query(
+        'SELECT COUNT(*) AS count FROM personal_access_tokens WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())',
+        [userId]
+    );
+    if (count >= MAX_PER_USER) {
+        throw tokenError(`At most ${MAX_PER_USER} active tokens per user`);
+    }
+
+    const token = PREFIX + crypto.randomBytes(32).toString('base64url');
+    const result = await db.query(
+        `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ${days ? 'DATE_ADD(NOW(), INTERVAL ? DAY)' : 'NULL'})`,
+        [userId, name.trim(), hashToken(token), token.slice(0, DISPLAY_LENGTH), JSON.stringify([...new Set(scopes)]), ...(days ? [days] : [])]
+    );
+    const rows = await db.query('SELECT * FROM personal_access_tokens WHERE id = ?', [result.insertId]);
+    return { token, ...present(rows[0]) };
+}
+
+/**
+ * 用户未吊销的令牌 (含已过期的)，不返回哈希
+ */
+async function list(userId) {
+    const rows = await db.query(
+        'SELECT * FROM personal_access_tokens WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC',
+        [userId]
+    );
+    return rows.map(row => ({ ...present(row), expired: !!row.expires_at && new Date(row.expires_at) <= new Date() }));
+}
+
+/**
+ * 吊销令牌
+ * @returns {boolean} 令牌不存在或已吊销时返回 false
+ */
+async function revoke(userId, tokenId) {
+    const result = await db.query(
+        'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [tokenId, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * 吊销用户的全部令牌 (重置密码、删除用户)
+ * @returns {number} 吊销的令牌数
+ */
+async function revokeAll(userId) {
+    const result = await db.query(
+        'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+    );
+    return result.affectedRows;
+}
+
+/**
+ * 校验令牌并记录使用时间
+ * @param {string} token 明文令牌
+ * @param {Object} client { ip }
+ * @returns {Object} { id, userId, scopes }
+ * @throws {Error} code 为 INVALID_ACCESS_TOKEN
+ */
+async function resolve(token, client = {}) {
+    const rows = await db.query(
+        'SELECT * FROM personal_access_tokens WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())',
+        [hashToken(token)]
+    );
+    if (rows.length === 0) {
+        throw tokenError('Access token is invalid, expired or revoked');
+    }
+    const row = rows[0];
+
+    await db.query(
+        `UPDATE personal_access_tokens SET last_used_at = NOW(), last_used_ip = ?
+         WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL ? SECOND))`,
+        [client.ip || null, row.id, TOUCH_INTERVAL]
+    );
+    return { id: row.id, userId: row.user_id, scopes: parseScopes(row.scopes) };
+}
+
+module.exports = {
+    SCOPES,
+    isAccessToken,
+    requiredScope,
+    create,
+    list,
+    revoke,
+    revokeAll,
+    resolve
+};
@@ -1,15 +1,16 @@
 const db = require('./db');
+const password = require('./password');
 
 /**
  * 用户管理与权限控制
  */
 class Auth {
     /**
-     * 创建用户
+     * 创建用户 (密码以 scrypt 哈希保存，强度由调用方校验)
      */
-    static async createUser(username, password, permissions = '', role = 'user') {
+    static async createUser(username, plainPassword, permissions = '', role = 'user') {
         const sql = 'INSERT INTO users (username, password, permissions, role) VALUES (?, ?, ?, ?)';
-        return await db.query(sql, [username, password, permissions, role]);
+        return await db.query(sql, [username, await password.hash(plainPassword), permissions, role]);
     }
 
     /**
@@ -22,10 +23,14 @@ class Auth {
 
     /**
      * 更新用户信息
+     * updates 中的 password 为明文，保存前转换为哈希
      */
     static async updateUser(id, updates) {
         const fields = [];
         const values = [];
+        if (updates.password !== undefined) {
+            updates = { ...updates, password: await password.hash(updates.password) };
+        }
         for (const [key, value] of Object.entries(updates)) {
             fields.push(`\`${key}\` = ?`);
             values.push(value);
@@ -54,11 +59,23 @@ class Auth {
 
     /**
      * 用户登录验证
+     * 升级前保存的明文密码 (或旧参数的哈希) 在登录成功时改存为新的哈希
      */
-    static async login(username, password) {
-        const sql = 'SELECT * FROM users WHERE username = ? AND password = ?';
-        const results = await db.query(sql, [username, password]);
-        return results[0] || null;
+    static async login(username, plainPassword) {
+        const results = await db.query('SELECT * FROM users WHERE username = ?', [username]);
+        const user = results[0] || null;
+        if (!user) {
+            // 用户不存在时同样计算一次哈希，避免通过响应时间判断用户名是否存在
+            await password.hash(plainPassword || '');
+            return null;
+        }
+
+        const { valid, needsUpgrade } = await password.verify(plainPassword, user.password);
+        if (!valid) return null;
+        if (needsUpgrade) {
+            await db.query('UPDATE users SET password = ? WHERE id = ?', [await password.hash(plainPassword), user.id]);
+        }
+        return user;
     }
 
     /**
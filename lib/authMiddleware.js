@@ -0,0 +1,149 @@
+const Auth = require('./auth');
+const token = require('./token');
+const session = require('./session');
+const accessTokens = require('./accessTokens');
+const { StatusCode } = require('./constants');
+
+/**
+ * 身份认证中间件 (api 与 charts 路由共用)
+ * 请求头 Authorization: Bearer <访问令牌>，令牌由 /api/login 与 /api/auth/refresh 签发
+ * 也接受个人访问令牌 (nsp_ 开头)，此时只能访问令牌权限范围内的接口
+ */
+
+const unauthorized = (res, message) => res.status(401).json({
+    success: false,
+    message,
+    code: StatusCode.UNAUTHORIZED
+});
+
+const readBearer = (req) => {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+};
+
+const authError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * 解析个人访问令牌，并检查令牌是否有当前接口的权限
+ * @returns {Object} { user, accessToken }
+ */
+async function resolveAccessToken(req, value) {
+    let resolved;
+    try {
+        resolved = await accessTokens.resolve(value, { ip: req.ip });
+    } catch (error) {
+        if (error.code === 'INVALID_ACCESS_TOKEN') {
+            throw authError('TOKEN_INVALID', error.message);
+        }
+        throw error;
+    }
+
+    const scope = accessTokens.requiredScope(req.method, req.baseUrl + req.path);
+    if (!scope || !resolved.scopes.includes(scope)) {
+        const error = authError('SCOPE_DENIED', 'Access token scope denied');
+        error.scope = scope;
+        throw error;
+    }
+    const user = await Auth.getUser(resolved.userId);
+    if (!user) {
+        throw authError('TOKEN_INVALID', 'User not found');
+    }
+    return { user, accessToken: resolved };
+}
+
+/**
+ * 解析请求中的访问令牌
+ * @returns {Object} { user, sessionId, accessToken } 登录令牌带 sessionId，个人访问令牌带 accessToken
+ * @throws {Error} code 为 TOKEN_INVALID、TOKEN_EXPIRED、SESSION_REVOKED 或 SCOPE_DENIED
+ */
+async function resolveUser(req) {
+    const accessToken = readBearer(req);
+    if (!accessToken) {
+        throw authError('TOKEN_MISSING', 'Missing access token');
+    }
+    if (accessTokens.isAccessToken(accessToken)) {
+        return resolveAccessToken(req, accessToken);
+    }
+
+    const payload = token.verify(accessToken);
+    if (!(await session.isActive(payload.sid))) {
+        throw authError('SESSION_REVOKED', 'Session revoked');
+    }
+    const user = await Auth.getUser(payload.sub);
+    if (!user) {
+        throw authError('TOKEN_INVALID', 'User not found');
+    }
+    return { user, sessionId: payload.sid };
+}
+
+const MESSAGES = {
+    TOKEN_MISSING: '未登录',
+    TOKEN_EXPIRED: '登录已过期，请刷新令牌',
+    SESSION_REVOKED: '登录已失效，请重新登录',
+    TOKEN_INVALID: '无效的登录凭证'
+};
+
+/**
+ * 要求登录：校验通过后设置 req.user，登录令牌设置 req.sessionId，个人访问令牌设置 req.accessToken
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        const { user, sessionId, accessToken } = await resolveUser(req);
+        req.user = user;
+        req.sessionId = sessionId;
+        req.accessToken = accessToken;
+        next();
+    } catch (error) {
+        if (error.code === 'SCOPE_DENIED') {
+            return res.status(403).json({
+                success: false,
+                message: error.scope ? `访问令牌缺少权限范围 ${error.scope}` : '该接口不支持使用访问令牌',
+                code: StatusCode.FORBIDDEN
+            });
+        }
+        if (MESSAGES[error.code]) {
+            return unauthorized(res, MESSAGES[error.code]);
+        }
+        console.error('Authentication error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * 可选登录：携带有效令牌时设置 req.user，否则不做处理 (用于无需登录的接口)
+ */
+const identify = async (req, res, next) => {
+    try {
+        if (readBearer(req)) {
+            const { user, sessionId, accessToken } = await resolveUser(req);
+            req.user = user;
+            req.sessionId = sessionId;
+            req.accessToken = accessToken;
+        }
+    } catch (error) {
+        // 令牌无效时按未登录处理
+    }
+    next();
+};
+
+/**
+ * 管理员权限检查中间件，需在 authenticate 之后使用
+ */
+const isAdmin = (req, res, next) => {
+    if (req.user && req.user.role === 'admin') {
+        next();
+    } else {
+        res.status(403).json({ success: false, message: '需要管理员权限' });
+    }
+};
+
+module.exports = {
+    authenticate,
+    identify,
+    isAdmin
+};
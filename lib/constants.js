@@ -11,6 +11,7 @@ const StatusCode = {
     UNAUTHORIZED: 40100,
     FORBIDDEN: 40300,
     NOT_FOUND: 40400,
+    CONFLICT: 40900,
     VALIDATION_FAILED: 42200,
     
     // 服务端错误 (5xx)
@@ -1,5 +1,6 @@
 const mysql = require('mysql2/promise');
 const path = require('path');
+const secrets = require('./secrets');
 
 // 根据 NODE_ENV 加载对应的 .env 文件 (如果存在)
 const envFile = process.env.NODE_ENV === 'production' ? '.env.production' : '.env.dev';
@@ -38,41 +39,117 @@ async function query(sql, params) {
 }
 
 /**
- * 获取用户的特定配置
+ * 在事务中执行回调，回调正常返回时提交，抛出异常时回滚
+ * 回调参数 tx 提供与 query 相同签名的 tx.query，所有语句在同一连接上执行
+ * @param {Function} callback async (tx) => {}
+ * @returns 回调的返回值
+ */
+async function transaction(callback) {
+    const connection = await pool.getConnection();
+    const tx = {
+        async query(sql, params) {
+            try {
+                const [results] = await connection.execute(sql, params);
+                return results;
+            } catch (error) {
+                console.error('Database query error:', error);
+                throw error;
+            }
+        }
+    };
+
+    try {
+        await connection.beginTransaction();
+        const result = await callback(tx);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        try {
+            await connection.rollback();
+        } catch (rollbackError) {
+            console.error('Transaction rollback error:', rollbackError);
+        }
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * 多行批量插入
+ * 字段取所有行的并集 (缺失值写入 NULL)，按占位符上限自动分批
+ * @param {string} tableName
+ * @param {Object[]} rows
+ * @param {Object} options
+ * @param {string[]} options.updateColumns 主键冲突时更新的字段，为空时普通 INSERT
+ * @param {Object} options.executor 执行语句的对象 (如 transaction 的 tx)，默认使用连接池
+ * @returns {number} 受影响的行数
+ */
+async function insertMany(tableName, rows, options = {}) {
+    if (!rows || rows.length === 0) return 0;
+
+    const { updateColumns = [], executor = { query } } = options;
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    // 单条语句的占位符不能超过 65535 个
+    const chunkSize = Math.max(1, Math.min(500, Math.floor(60000 / columns.length)));
+
+    const columnSql = columns.map(c => `\`${c}\``).join(', ');
+    const rowPlaceholder = `(${columns.map(() => '?').join(', ')})`;
+    const updateSql = updateColumns.length > 0
+        ? ` ON DUPLICATE KEY UPDATE ${updateColumns.map(c => `\`${c}\` = VALUES(\`${c}\`)`).join(', ')}`
+        : '';
+
+    let affected = 0;
+    for (let i = 0; i < rows.length; i += chunkSize) {
+        const chunk = rows.slice(i, i + chunkSize);
+        const params = [];
+        chunk.forEach(row => columns.forEach(c => params.push(row[c] === undefined ? null : row[c])));
+
+        const sql = `INSERT INTO \`${tableName}\` (${columnSql}) VALUES ${chunk.map(() => rowPlaceholder).join(', ')}${updateSql}`;
+        const result = await executor.query(sql, params);
+        affected += result.affectedRows;
+    }
+    return affected;
+}
+
+/**
+ * 获取用户的特定配置 (敏感项已解密，仅供服务端内部使用)
  */
 async function getConfig(userId, key) {
     const results = await query('SELECT config_value FROM user_configs WHERE user_id = ? AND config_key = ?', [userId, key]);
-    return results.length > 0 ? results[0].config_value : null;
+    if (results.length === 0) return null;
+    return secrets.isSecretKey(key) ? secrets.decrypt(results[0].config_value) : results[0].config_value;
 }
 
 /**
- * 获取用户的所有配置
+ * 获取用户的所有配置 (敏感项已解密，仅供服务端内部使用，返回给前端前需经 secrets.maskConfigs)
  */
 async function getAllConfigs(userId) {
     const results = await query('SELECT config_key, config_value FROM user_configs WHERE user_id = ?', [userId]);
     const configs = {};
     results.forEach(row => {
-        configs[row.config_key] = row.config_value;
+        configs[row.config_key] = secrets.isSecretKey(row.config_key) ? secrets.decrypt(row.config_value) : row.config_value;
     });
     return configs;
 }
 
 /**
- * 更新或插入用户的配置
+ * 更新或插入用户的配置，敏感项加密后保存
  */
 async function updateConfig(userId, key, value) {
     const sql = `INSERT INTO user_configs (user_id, config_key, config_value) 
                  VALUES (?, ?, ?) 
                  ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)`;
-    return await query(sql, [userId, key, value]);
+    return await query(sql, [userId, key, secrets.isSecretKey(key) ? secrets.encrypt(value) : value]);
 }
 
 /**
  * 记录 API 调用日志，并限制总条数为 10,000 条
+ * @param {number} retryCount 最终结果前的重试次数
  */
-async function logApiCall(userId, url, method, params, statusCode, responseBody, isSuccess, errorMessage) {
-    const insertSql = `INSERT INTO api_logs (user_id, url, method, params, status_code, response_body, is_success, error_message) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+async function logApiCall(userId, url, method, params, statusCode, responseBody, isSuccess, errorMessage, retryCount = 0) {
+    const insertSql = `INSERT INTO api_logs (user_id, url, method, params, status_code, response_body, is_success, error_message, retry_count) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     await query(insertSql, [
         userId,
         url,
@@ -81,7 +158,8 @@ async function logApiCall(userId, url, method, params, statusCode, responseBody,
         statusCode,
         typeof responseBody === 'object' ? JSON.stringify(responseBody) : responseBody,
         isSuccess ? 1 : 0,
-        errorMessage
+        errorMessage,
+        retryCount
     ]);
 
     // 清理逻辑：如果超过 10000 条，删除旧数据
@@ -104,6 +182,8 @@ async function logApiCall(userId, url, method, params, statusCode, responseBody,
 
 module.exports = {
     query,
+    transaction,
+    insertMany,
     getConfig,
     getAllConfigs,
     updateConfig,
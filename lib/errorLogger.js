@@ -4,6 +4,26 @@ const path = require('path');
 const LOG_FILE = path.join(__dirname, '../errorLogs');
 const MAX_LOGS = 100;
 
+// 写入日志前替换为 [REDACTED] 的字段 (不区分大小写，含嵌套对象)：登录凭证、密码与密钥
+const REDACTED_KEYS = [
+    'authorization', 'cookie', 'password', 'refreshtoken', 'apikey',
+    'webhooksecret', 'verificationtoken', 'verification_token'
+];
+
+/**
+ * 脱敏请求头、请求体等日志内容
+ */
+function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = REDACTED_KEYS.includes(key.toLowerCase()) ? '[REDACTED]' : redact(item);
+    }
+    return result;
+}
+
 /**
  * 记录错误日志
  * @param {Object} logData 包含请求参数、响应参数、错误信息等
@@ -63,6 +83,8 @@ function apiResponseInterceptor(req, res, next) {
                     body.code = StatusCode.FORBIDDEN;
                 } else if (res.statusCode === 404) {
                     body.code = StatusCode.NOT_FOUND;
+                } else if (res.statusCode === 409) {
+                    body.code = StatusCode.CONFLICT;
                 } else if (res.statusCode === 422 || res.statusCode === 400) {
                     body.code = StatusCode.BAD_REQUEST;
                 } else {
@@ -75,13 +97,13 @@ function apiResponseInterceptor(req, res, next) {
             const logData = {
                 path: req.originalUrl || req.path,
                 method: req.method,
-                headers: req.headers,
-                query: req.query,
+                headers: redact(req.headers),
+                query: redact(req.query),
                 params: req.params,
-                body: req.body,
+                body: redact(req.body),
                 response: {
                     status: res.statusCode,
-                    body: body
+                    body: redact(body)
                 }
             };
             logError(logData);
@@ -99,10 +121,10 @@ function errorLoggerMiddleware(err, req, res, next) {
     const logData = {
         path: req.originalUrl || req.path,
         method: req.method,
-        headers: req.headers,
-        query: req.query,
+        headers: redact(req.headers),
+        query: redact(req.query),
         params: req.params,
-        body: req.body,
+        body: redact(req.body),
         error: {
             message: err.message,
             stack: err.stack,
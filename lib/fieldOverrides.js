@@ -0,0 +1,150 @@
+const db = require('./db');
+const NotionClient = require('./notion');
+
+/**
+ * 同步目标的字段映射覆盖
+ * 按 Notion 属性 ID 为每个数据源指定自定义字段名、强制字段类型，或排除该属性 (不在 MySQL 中建字段)
+ */
+
+// 字段名：小写字母、数字与下划线，不以数字开头
+const COLUMN_NAME = /^[a-z_][a-z0-9_]{0,63}$/;
+
+// 可强制指定的字段类型
+const COLUMN_TYPE = /^(TEXT|MEDIUMTEXT|LONGTEXT|DATE|DATETIME|TIMESTAMP|DOUBLE|INT|BIGINT|TINYINT\(1\)|VARCHAR\(\d{1,5}\)|DECIMAL\(\d{1,2},\d{1,2}\))$/;
+
+const overrideError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_OVERRIDE';
+    return error;
+};
+
+/**
+ * 校验并规范化覆盖配置
+ * @param {Object[]} overrides [{ propertyId, columnName, columnType, excluded }]
+ * @param {Object} properties 数据源结构中的 properties，用于检查属性是否存在及字段类型是否兼容
+ * @returns {Object[]} 规范化后的配置 (字段类型转为大写，去掉没有任何覆盖项的条目)
+ */
+function validate(overrides, properties) {
+    if (!Array.isArray(overrides)) {
+        throw overrideError('overrides must be an array');
+    }
+    const propertiesById = new Map(Object.entries(properties).map(([name, prop]) => [prop.id, { ...prop, name }]));
+
+    const reserved = new Set(['notion_id', ...Object.keys(NotionClient.SYSTEM_COLUMNS)]);
+    const propertyIds = new Set();
+    const columnNames = new Set();
+    const result = [];
+
+    for (const item of overrides) {
+        if (!item || typeof item.propertyId !== 'string' || !item.propertyId) {
+            throw overrideError('Each override needs a propertyId');
+        }
+        if (propertyIds.has(item.propertyId)) {
+            throw overrideError(`Duplicate override for property ${item.propertyId}`);
+        }
+        propertyIds.add(item.propertyId);
+        const prop = propertiesById.get(item.propertyId);
+        if (!prop) {
+            throw overrideError(`Property ${item.propertyId} does not exist in the data source`);
+        }
+
+        const columnName = item.columnName ? String(item.columnName).trim() : null;
+        if (columnName) {
+            if (!COLUMN_NAME.test(columnName)) {
+                throw overrideError(`Invalid column name: ${columnName}`);
+            }
+            if (reserved.has(columnName)) {
+                throw overrideError(`Column name ${columnName} is reserved`);
+            }
+            if (columnNames.has(columnName)) {
+                throw overrideError(`Column name ${columnName} is used by more than one property`);
+            }
+            columnNames.add(columnName);
+        }
+
+        const columnType = item.columnType ? String(item.columnType).replace(/\s+/g, '').toUpperCase() : null;
+        if (columnType && !COLUMN_TYPE.test(columnType)) {
+            throw overrideError(`Unsupported column type: ${item.columnType}`);
+        }
+        if (columnType && !NotionClient.isCompatibleColumnType(prop, columnType)) {
+            throw overrideError(`Column type ${columnType} cannot hold values of ${prop.type} property ${prop.name}`);
+        }
+
+        const excluded = item.excluded === true || item.excluded === 1 || item.excluded === 'true';
+        if (!columnName && !columnType && !excluded) continue;
+        result.push({ propertyId: item.propertyId, columnName, columnType, excluded });
+    }
+    return result;
+}
+
+const toOverride = (row) => ({
+    propertyId: row.property_id,
+    columnName: row.column_name,
+    columnType: row.column_type,
+    excluded: row.excluded === 1
+});
+
+/**
+ * 读取数据源的覆盖配置，供 mapNotionToMysql 使用
+ * @param {number} targetId notion_sync_targets.id
+ * @param {string} dataSourceId
+ * @returns {Object} { 属性 ID: { columnName, columnType, excluded } }
+ */
+async function load(targetId, dataSourceId) {
+    if (!targetId) return {};
+    const rows = await db.query(
+        'SELECT * FROM notion_field_overrides WHERE target_id = ? AND data_source_id = ?',
+        [targetId, dataSourceId]
+    );
+    const overrides = {};
+    for (const row of rows) {
+        const { propertyId, ...override } = toOverride(row);
+        overrides[propertyId] = override;
+    }
+    return overrides;
+}
+
+/**
+ * 列出同步目标的覆盖配置
+ * @param {number} targetId
+ * @param {string} dataSourceId 可选，只列出该数据源的配置
+ * @returns {Object[]} [{ dataSourceId, propertyId, columnName, columnType, excluded }]
+ */
+async function list(targetId, dataSourceId = null) {
+    const rows = dataSourceId
+        ? await db.query('SELECT * FROM notion_field_overrides WHERE target_id = ? AND data_source_id = ? ORDER BY id ASC', [targetId, dataSourceId])
+        : await db.query('SELECT * FROM notion_field_overrides WHERE target_id = ? ORDER BY data_source_id, id ASC', [targetId]);
+    return rows.map(row => ({ dataSourceId: row.data_source_id, ...toOverride(row) }));
+}
+
+/**
+ * 替换数据源的全部覆盖配置 (传入空数组即清除)
+ * 下一次同步或刷新表结构时生效：改名的字段原地重命名，改类型的字段按迁移规则转换，排除的属性对应的字段被删除
+ * @param {number} targetId
+ * @param {string} dataSourceId
+ * @param {Object[]} overrides 同 validate
+ * @param {Object} properties 数据源结构中的 properties
+ * @returns {Object[]} 保存后的配置
+ */
+async function replace(targetId, dataSourceId, overrides, properties) {
+    const normalized = validate(overrides, properties);
+    await db.transaction(async (tx) => {
+        await tx.query('DELETE FROM notion_field_overrides WHERE target_id = ? AND data_source_id = ?', [targetId, dataSourceId]);
+        await db.insertMany('notion_field_overrides', normalized.map(item => ({
+            target_id: targetId,
+            data_source_id: dataSourceId,
+            property_id: item.propertyId,
+            column_name: item.columnName,
+            column_type: item.columnType,
+            excluded: item.excluded ? 1 : 0
+        })), { executor: tx });
+    });
+    return normalized;
+}
+
+module.exports = {
+    validate,
+    load,
+    list,
+    replace
+};
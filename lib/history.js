@@ -0,0 +1,235 @@
+const db = require('./db');
+const schema = require('./schema');
+
+/**
+ * 同步表的行变更历史
+ * 写入前读取现有行并与新值逐字段比较，在同一事务中记录到 <表名>_history
+ */
+
+// 不参与比较的系统字段 (每次同步都会变化，不代表数据变更)
+const IGNORED_COLUMNS = ['notion_id', 'synced_at', 'notion_edited_at'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * 将 MySQL 返回的值转换为可比较、可存为 JSON 的值
+ * mysql2 按本地时区把 DATETIME / TIMESTAMP 解析为 Date，这里还原为写入时的 "YYYY-MM-DD HH:mm:ss"
+ */
+function normalizeValue(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    }
+    if (Buffer.isBuffer(value)) return value.toString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function isSameValue(a, b) {
+    const left = normalizeValue(a);
+    const right = normalizeValue(b);
+    if (left === null || right === null) return left === right;
+    return String(left) === String(right);
+}
+
+/**
+ * 行的快照 (去掉系统字段)
+ */
+function snapshot(row) {
+    const data = {};
+    for (const [column, value] of Object.entries(row)) {
+        if (!IGNORED_COLUMNS.includes(column)) data[column] = normalizeValue(value);
+    }
+    return data;
+}
+
+/**
+ * 比较现有行与即将写入的行 (只比较两边都有的非系统字段)
+ * @param {Object} current 现有行
+ * @param {Object} row 即将写入的行
+ * @returns {Object|null} { before, after } 变化字段的前后值，没有变化时返回 null
+ */
+function diffRow(current, row) {
+    const before = {};
+    const after = {};
+    for (const [column, value] of Object.entries(row)) {
+        if (IGNORED_COLUMNS.includes(column) || !(column in current)) continue;
+        if (!isSameValue(current[column], value)) {
+            before[column] = normalizeValue(current[column]);
+            after[column] = normalizeValue(value);
+        }
+    }
+    return Object.keys(after).length > 0 ? { before, after } : null;
+}
+
+/**
+ * 锁定并读取现有行
+ * @returns {Map<string, Object>} notion_id => 行
+ */
+async function loadRows(executor, tableName, notionIds) {
+    const existing = new Map();
+    const chunkSize = 500;
+    for (let i = 0; i < notionIds.length; i += chunkSize) {
+        const chunk = notionIds.slice(i, i + chunkSize);
+        const rows = await executor.query(
+            `SELECT * FROM \`${tableName}\` WHERE notion_id IN (${chunk.map(() => '?').join(', ')}) FOR UPDATE`,
+            chunk
+        );
+        rows.forEach(row => existing.set(row.notion_id, row));
+    }
+    return existing;
+}
+
+const resolveHistoryTable = (tableName, context) =>
+    context.historyTable || schema.historyTableName(context.baseTable || tableName);
+
+const toEntry = (notionId, changeType, before, after, context) => ({
+    notion_id: notionId,
+    change_type: changeType,
+    source: context.source || 'sync',
+    job_id: context.jobId || null,
+    before_data: before ? JSON.stringify(before) : null,
+    after_data: after ? JSON.stringify(after) : null
+});
+
+/**
+ * 记录即将写入 (upsert) 的行相对现有行的变化，需在写入同一事务中、写入之前调用
+ * @param {Object} executor 事务的 tx
+ * @param {string} tableName 同步表名
+ * @param {Object[]} rows 即将写入的行 (recordToRow 的结果)
+ * @param {Object} context
+ * @param {number} context.jobId 同步任务 ID
+ * @param {string} context.source 变更来源，默认 sync
+ * @param {string} context.baseTable 读取现有行的表，默认为 tableName (影子表同步时为正式表)
+ * @param {string} context.historyTable 写入的历史表，默认为 baseTable 的历史表
+ * @returns {number} 记录的变更条数
+ */
+async function recordUpserts(executor, tableName, rows, context = {}) {
+    if (rows.length === 0) return 0;
+    const existing = await loadRows(executor, context.baseTable || tableName, rows.map(row => row.notion_id));
+    const entries = [];
+
+    for (const row of rows) {
+        const current = existing.get(row.notion_id);
+        if (!current) {
+            entries.push(toEntry(row.notion_id, 'insert', null, snapshot(row), context));
+            continue;
+        }
+
+        const diff = diffRow(current, row);
+        if (diff) {
+            entries.push(toEntry(row.notion_id, 'update', diff.before, diff.after, context));
+        }
+    }
+
+    await db.insertMany(resolveHistoryTable(tableName, context), entries, { executor });
+    return entries.length;
+}
+
+/**
+ * 记录即将移除的行 (保存删除前的整行)，需在删除同一事务中、删除之前调用
+ * 软删除时已标记删除的行不再重复记录
+ * @param {Object} executor 事务的 tx
+ * @param {string} tableName 同步表名
+ * @param {string[]} notionIds
+ * @param {string} mode hard | soft
+ * @param {Object} context 同 recordUpserts
+ * @returns {number} 记录的变更条数
+ */
+async function recordRemovals(executor, tableName, notionIds, mode, context = {}) {
+    if (notionIds.length === 0) return 0;
+    const existing = await loadRows(executor, context.baseTable || tableName, notionIds);
+    const entries = [];
+
+    for (const row of existing.values()) {
+        if (mode !== 'hard' && row.is_deleted === 1) continue;
+        entries.push(toEntry(row.notion_id, 'delete', snapshot(row), null, context));
+    }
+
+    await db.insertMany(resolveHistoryTable(tableName, context), entries, { executor });
+    return entries.length;
+}
+
+/**
+ * 把影子表同步期间记录的历史并入正式表的历史表 (在替换影子表之前调用)
+ * 影子历史表在替换成功后随 dropShadowTable 删除
+ * @param {string} fromTable 影子历史表
+ * @param {string} toTable 正式表的历史表
+ * @returns {number} 并入前正式历史表的最大 id，替换失败时交给 revertMove 撤回
+ */
+async function moveEntries(fromTable, toTable) {
+    const columns = '`notion_id`, `change_type`, `source`, `job_id`, `before_data`, `after_data`, `created_at`';
+    const [{ maxId }] = await db.query(`SELECT COALESCE(MAX(id), 0) AS maxId FROM \`${toTable}\``);
+    await db.query(`INSERT INTO \`${toTable}\` (${columns}) SELECT ${columns} FROM \`${fromTable}\` ORDER BY id`);
+    return Number(maxId);
+}
+
+/**
+ * 撤回 moveEntries 并入的记录 (影子表替换失败时)
+ * @param {string} toTable 正式表的历史表
+ * @param {number} sinceId moveEntries 的返回值
+ * @param {Object} context 影子表同步的历史上下文 { jobId, source }
+ */
+async function revertMove(toTable, sinceId, context) {
+    await db.query(
+        `DELETE FROM \`${toTable}\` WHERE id > ? AND source = ? AND job_id <=> ?`,
+        [sinceId, context.source || 'sync', context.jobId || null]
+    );
+}
+
+const parseJson = (value) => {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * 查询单行的变更时间线 (最新的在前)
+ * @param {string} tableName 同步表名
+ * @param {string} notionId
+ * @param {Object} options
+ * @param {number} options.limit 返回条数
+ * @param {number} options.beforeId 只返回 id 小于该值的记录，用于翻页
+ * @returns {Object[]} [{ id, changeType, source, jobId, createdAt, changes: [{ column, before, after }] }]
+ */
+async function getRowHistory(tableName, notionId, options = {}) {
+    const { limit = 50, beforeId = null } = options;
+    const params = [notionId];
+    let where = 'notion_id = ?';
+    if (beforeId) {
+        where += ' AND id < ?';
+        params.push(beforeId);
+    }
+
+    const rows = await db.query(
+        `SELECT * FROM \`${schema.historyTableName(tableName)}\` WHERE ${where} ORDER BY id DESC LIMIT ?`,
+        [...params, parseInt(limit)]
+    );
+
+    return rows.map(row => {
+        const before = parseJson(row.before_data) || {};
+        const after = parseJson(row.after_data) || {};
+        const columns = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return {
+            id: row.id,
+            changeType: row.change_type,
+            source: row.source,
+            jobId: row.job_id,
+            createdAt: row.created_at,
+            changes: columns.map(column => ({
+                column,
+                before: before[column] === undefined ? null : before[column],
+                after: after[column] === undefined ? null : after[column]
+            }))
+        };
+    });
+}
+
+module.exports = {
+    diffRow,
+    recordUpserts,
+    recordRemovals,
+    moveEntries,
+    revertMove,
+    getRowHistory
+};
@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const http = require('./http');
 const db = require('./db');
 const { pinyin } = require('pinyin-pro');
+const { getBucket } = require('./rateLimiter');
 
 class NotionClient {
     constructor(userId, apiKey, version = '2025-09-03') {
@@ -10,7 +12,12 @@ class NotionClient {
         this.baseUrl = 'https://api.notion.com/v1';
     }
 
-    async request(method, path, data = null, params = null) {
+    /**
+     * 发送 Notion API 请求 (限流、失败重试并记录日志)
+     * @param {Object} options
+     * @param {boolean} options.idempotent 为 false 时 (如创建页面) 5xx 与超时不重试，避免重复写入；429 仍会重试
+     */
+    async request(method, path, data = null, params = null, options = {}) {
         const headers = {
             'Authorization': this.apiKey.startsWith('ntn_') ? this.apiKey : `Bearer ${this.apiKey}`,
             'Notion-Version': this.version
@@ -28,21 +35,70 @@ class NotionClient {
             data
         };
 
-        let response;
-        try {
-            response = await http(config);
-            await db.logApiCall(this.userId, `${this.baseUrl}${path}`, method, { data, params }, response.status, response.data, true, null);
-            return response.data;
-        } catch (error) {
-            const status = error.response ? error.response.status : (error.code === 'ECONNABORTED' ? 408 : 500);
-            const errorData = error.response ? error.response.data : error.message;
-            
-            // 记录详细的错误日志
-            console.error(`[Notion API Error] ${method} ${path}:`, error.message);
-
-            await db.logApiCall(this.userId, `${this.baseUrl}${path}`, method, { data, params }, status, errorData, false, error.message);
-            throw error;
+        // 同一个 API Key 的请求共享限流队列
+        // 同一 API Key 共享限流桶，以哈希作为 key，不把密钥长期留在桶表中
+        const bucketKey = crypto.createHash('sha256').update(String(this.apiKey)).digest('hex');
+        const bucket = getBucket(bucketKey, NotionClient.RATE_LIMIT.requestsPerSecond, NotionClient.RATE_LIMIT.burst);
+        let retryCount = 0;
+
+        while (true) {
+            await bucket.acquire();
+            try {
+                const response = await http(config);
+                await db.logApiCall(this.userId, `${this.baseUrl}${path}`, method, { data, params }, response.status, response.data, true, null, retryCount);
+                return response.data;
+            } catch (error) {
+                const status = error.response ? error.response.status : (error.code === 'ECONNABORTED' ? 408 : 500);
+                const delay = NotionClient.getRetryDelay(error, retryCount, options.idempotent !== false);
+
+                if (delay !== null) {
+                    retryCount++;
+                    console.warn(`[Notion API Retry] ${method} ${path}: ${error.message}, retry ${retryCount}/${NotionClient.RATE_LIMIT.maxRetries} in ${delay}ms`);
+                    if (status === 429) {
+                        // 限流时整个 API Key 一起暂停，避免其他请求继续触发 429
+                        bucket.pause(delay);
+                    }
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+
+                const errorData = error.response ? error.response.data : error.message;
+
+                // 记录详细的错误日志
+                console.error(`[Notion API Error] ${method} ${path}:`, error.message);
+
+                await db.logApiCall(this.userId, `${this.baseUrl}${path}`, method, { data, params }, status, errorData, false, error.message, retryCount);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * 计算失败请求的重试等待时间
+     * 429 优先使用 Retry-After (不超过 maxRetryAfter)，5xx 与超时 / 网络错误使用带抖动的指数退避
+     * @param {Error} error axios 错误对象
+     * @param {number} retryCount 已重试次数
+     * @param {boolean} idempotent 请求是否可安全重放，不可重放时只重试 429
+     * @returns {number|null} 等待毫秒数，不应重试时返回 null
+     */
+    static getRetryDelay(error, retryCount, idempotent = true) {
+        const { maxRetries, baseDelay, maxDelay, maxRetryAfter } = NotionClient.RATE_LIMIT;
+        if (retryCount >= maxRetries) return null;
+
+        const status = error.response ? error.response.status : null;
+        const isNetworkError = !error.response && NotionClient.RETRYABLE_ERROR_CODES.includes(error.code);
+        if (status !== 429 && !(idempotent && (status >= 500 || isNetworkError))) return null;
+
+        if (status === 429) {
+            const retryAfter = parseFloat(error.response.headers && error.response.headers['retry-after']);
+            if (!isNaN(retryAfter) && retryAfter >= 0) {
+                // 限制上限，异常的 Retry-After 不会让整个队列无限期暂停
+                return Math.min(Math.ceil(retryAfter * 1000), maxRetryAfter);
+            }
         }
+
+        const backoff = Math.min(maxDelay, baseDelay * Math.pow(2, retryCount));
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
     }
 
     /**
@@ -164,6 +220,54 @@ class NotionClient {
         return await this.request('GET', `/pages/${pageId}`);
     }
 
+    /**
+     * 获取页面单个属性的全部值 (分页)
+     * 页面对象中的 relation 等属性最多返回 25 项，has_more 为 true 时需通过该接口获取完整列表
+     * @returns {Array} property_item 列表
+     */
+    async getPagePropertyItems(pageId, propertyId) {
+        let items = [];
+        let hasMore = true;
+        let cursor = undefined;
+
+        while (hasMore) {
+            const response = await this.request('GET', `/pages/${pageId}/properties/${propertyId}`, null, {
+                start_cursor: cursor,
+                page_size: 100
+            });
+            if (response.object !== 'list') {
+                return [response];
+            }
+            items = items.concat(response.results);
+            hasMore = response.has_more;
+            cursor = response.next_cursor;
+        }
+
+        return items;
+    }
+
+    /**
+     * 更新页面属性
+     * @param {string} pageId
+     * @param {Object} properties Notion 属性值，键为属性名称
+     */
+    async updatePage(pageId, properties) {
+        return await this.request('PATCH', `/pages/${pageId}`, { properties });
+    }
+
+    /**
+     * 在数据源中创建页面 (新增一行)
+     * 创建不是幂等操作，服务端错误或超时后不自动重试
+     * @param {string} dataSourceId
+     * @param {Object} properties Notion 属性值，键为属性名称
+     */
+    async createPage(dataSourceId, properties) {
+        return await this.request('POST', '/pages', {
+            parent: { type: 'data_source_id', data_source_id: dataSourceId },
+            properties
+        }, null, { idempotent: false });
+    }
+
     /**
      * 获取页面内容块
      */
@@ -227,17 +331,57 @@ class NotionClient {
     /**
      * 第三步：列结构转换 (Notion -> MySQL)
      * 将 Notion 的 properties 映射为 MySQL 字段定义
-     * @returns {Object} { columns: string[], mapping: Object }
+     * 每个字段的 COMMENT 记录 Notion 属性 ID，属性改名后仍可对应到原字段
+     * 部分属性额外生成伴随字段 (如 people 的 <字段>_ids)，注释为 notion:<属性 ID>:<后缀>
+     * @param {Object} properties 数据源的 properties
+     * @param {Object} options
+     * @param {Object} options.formulaTypes 公式属性的结果类型 { 属性名: number|string|boolean|date }，结构中不包含公式结果类型，需由调用方根据记录推断
+     * @param {Object} options.overrides 字段映射覆盖 { 属性 ID: { columnName, columnType, excluded } }，见 fieldOverrides
+     * @returns {Object} { columns: string[], mapping: Object, companions: Object, definitions: Object[], excluded: string[] }
+     *   excluded 为被排除的属性 ID
      */
-    mapNotionToMysql(properties) {
+    mapNotionToMysql(properties, options = {}) {
+        const { formulaTypes = {}, overrides = {} } = options;
         const columns = [];
         const mapping = {};
-        const usedNames = new Set(['notion_id', 'synced_at']); // 预留系统字段名
+        // 伴随字段: { 属性名: { 后缀: 字段名 } }
+        const companions = {};
+        const definitions = [];
+        const excluded = [];
+        const usedNames = new Set(['notion_id', ...Object.keys(NotionClient.SYSTEM_COLUMNS)]); // 预留系统字段名
+        // 预留自定义字段名，自动生成的字段名与其重名时追加数字后缀
+        for (const prop of Object.values(properties)) {
+            const override = overrides[prop.id];
+            if (override && !override.excluded && override.columnName) usedNames.add(override.columnName);
+        }
 
         // 默认主键，使用 Notion 的 id
         columns.push('`notion_id` VARCHAR(64) PRIMARY KEY');
 
+        const uniqueName = (baseName) => {
+            let finalName = baseName;
+            let counter = 1;
+            while (usedNames.has(finalName)) {
+                finalName = `${baseName}_${counter}`;
+                counter++;
+            }
+            usedNames.add(finalName);
+            return finalName;
+        };
+
+        const addDefinition = (columnName, mysqlType, prop, name, suffix = null) => {
+            const comment = NotionClient.columnComment(prop.id, suffix);
+            definitions.push({ name: columnName, type: mysqlType, comment, propertyId: prop.id, propertyName: name, notionType: prop.type, suffix });
+            columns.push(`\`${columnName}\` ${mysqlType} COMMENT '${comment.replace(/'/g, "''")}'`);
+        };
+
         for (const [name, prop] of Object.entries(properties)) {
+            const override = overrides[prop.id] || {};
+            if (override.excluded) {
+                excluded.push(prop.id);
+                continue;
+            }
+
             let mysqlType = 'TEXT';
             const type = prop.type;
 
@@ -269,8 +413,22 @@ class NotionClient {
                 case 'last_edited_by':
                     mysqlType = 'VARCHAR(255)';
                     break;
+                case 'unique_id':
+                    mysqlType = 'VARCHAR(64)';
+                    break;
+                case 'verification':
+                    mysqlType = 'VARCHAR(20)';
+                    break;
+                case 'formula':
+                    mysqlType = NotionClient.VALUE_TYPES[formulaTypes[name]] || 'TEXT';
+                    break;
+                case 'rollup':
+                    mysqlType = NotionClient.VALUE_TYPES[NotionClient.rollupValueType(prop.rollup)] || 'TEXT';
+                    break;
                 case 'rich_text':
                 case 'title':
+                case 'people':
+                case 'files':
                     mysqlType = 'TEXT';
                     break;
                 case 'created_time':
@@ -281,6 +439,15 @@ class NotionClient {
                     mysqlType = 'TEXT';
             }
 
+            if (override.columnType) {
+                // 保存时已校验；公式的结果类型只有同步时才能确定，不兼容时沿用默认类型
+                if (NotionClient.isCompatibleColumnType(prop, override.columnType, type === 'formula' ? formulaTypes[name] : null)) {
+                    mysqlType = override.columnType;
+                } else {
+                    console.warn(`[FieldOverrides] Ignored column type ${override.columnType} for ${type} property ${name}`);
+                }
+            }
+
             // 字段名处理：优先转换为拼音，特殊字符替换为下划线
             let cleanName = pinyin(name, { toneType: 'none', nonZh: 'consonant' })
                 .replace(/\s+/g, '_')
@@ -292,20 +459,157 @@ class NotionClient {
                 cleanName = name.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
             }
 
-            // 处理重名列：如果列名已存在，追加数字后缀
-            let finalName = cleanName;
-            let counter = 1;
-            while (usedNames.has(finalName)) {
-                finalName = `${cleanName}_${counter}`;
-                counter++;
-            }
-            usedNames.add(finalName);
+            // 处理重名列：如果列名已存在，追加数字后缀 (自定义字段名已预留)
+            const finalName = override.columnName || uniqueName(cleanName);
             mapping[name] = finalName;
+            addDefinition(finalName, mysqlType, prop, name);
+
+            // 伴随字段紧跟在主字段之后
+            for (const [suffix, companionType] of Object.entries(NotionClient.COMPANION_COLUMNS[type] || {})) {
+                const companionName = uniqueName(`${finalName}_${suffix}`);
+                companions[name] = companions[name] || {};
+                companions[name][suffix] = companionName;
+                addDefinition(companionName, companionType, prop, name, suffix);
+            }
+        }
+        return { columns, mapping, companions, definitions, excluded };
+    }
 
-            columns.push(`\`${finalName}\` ${mysqlType}`);
+    /**
+     * 根据汇总函数推断汇总结果的类型
+     * @param {Object} rollup 数据源结构中的 rollup 配置
+     * @returns {string|null} number | date | null (列表等无法确定类型的结果)
+     */
+    static rollupValueType(rollup) {
+        const fn = rollup && rollup.function;
+        if (!fn || fn === 'show_original' || fn === 'show_unique') return null;
+        if (['earliest_date', 'latest_date', 'date_range'].includes(fn)) return 'date';
+        return 'number';
+    }
+
+    /**
+     * 强制字段类型是否能容纳该属性的值 (字段映射覆盖)
+     * 文本类型总是可以；数值、日期、布尔只用于对应类型的属性；VARCHAR 需不短于默认长度 (单选为最长选项)，长文本属性不能使用
+     * @param {Object} prop 数据源结构中的属性
+     * @param {string} columnType 大写的字段类型，如 VARCHAR(100)
+     * @param {string} valueType 公式的结果类型 (同步时按样本推断)，未知时公式允许数值与日期类型
+     * @returns {boolean}
+     */
+    static isCompatibleColumnType(prop, columnType, valueType = null) {
+        if (/^(TEXT|MEDIUMTEXT|LONGTEXT)$/.test(columnType)) return true;
+
+        let category = NotionClient.VALUE_CATEGORIES[prop.type] || null;
+        if (prop.type === 'rollup') {
+            category = NotionClient.rollupValueType(prop.rollup);
+        } else if (prop.type === 'formula') {
+            if (!valueType) return ['number', 'date'].some(type => NotionClient.COMPATIBLE_COLUMN_TYPES[type].test(columnType));
+            category = valueType;
         }
-        return { columns, mapping };
+        if (category && NotionClient.COMPATIBLE_COLUMN_TYPES[category] && NotionClient.COMPATIBLE_COLUMN_TYPES[category].test(columnType)) {
+            return true;
+        }
+
+        const varchar = columnType.match(/^VARCHAR\((\d+)\)$/);
+        if (!varchar) return false;
+        let minimum = NotionClient.VARCHAR_LENGTHS[prop.type];
+        if (prop.type === 'select') {
+            const options = (prop.select && prop.select.options) || [];
+            minimum = Math.max(1, ...options.map(opt => opt.name.length));
+        }
+        return minimum !== undefined && Number(varchar[1]) >= minimum;
+    }
+
+    /**
+     * 生成记录 Notion 属性 ID 的字段注释
+     */
+    static columnComment(propertyId, suffix = null) {
+        return suffix ? `notion:${propertyId}:${suffix}` : `notion:${propertyId}`;
+    }
+
+    /**
+     * 解析字段注释，返回 { propertyId, suffix }，不是同步字段时返回 null
+     * 属性 ID 经过 URL 编码，不包含冒号
+     */
+    static parseColumnComment(comment) {
+        if (!comment || !comment.startsWith('notion:')) return null;
+        const [propertyId, suffix = null] = comment.slice('notion:'.length).split(':');
+        return { propertyId, suffix };
     }
 }
 
+/**
+ * 同步表中由系统维护、不对应 Notion 属性的字段
+ */
+NotionClient.SYSTEM_COLUMNS = {
+    synced_at: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP',
+    is_deleted: 'TINYINT(1) NOT NULL DEFAULT 0',
+    deleted_at: 'TIMESTAMP NULL DEFAULT NULL',
+    // 同步时记录的 Notion last_edited_time，回写时用于检测冲突
+    notion_edited_at: 'VARCHAR(40) NULL DEFAULT NULL'
+};
+
+/**
+ * 公式 / 汇总结果类型对应的 MySQL 字段类型
+ */
+NotionClient.VALUE_TYPES = {
+    number: 'DOUBLE',
+    boolean: 'TINYINT(1)',
+    date: 'DATETIME',
+    string: 'TEXT'
+};
+
+/**
+ * 字段映射覆盖的类型兼容性：属性类型 → 值类别，值类别 → 可强制使用的非文本字段类型
+ */
+NotionClient.VALUE_CATEGORIES = {
+    number: 'number',
+    checkbox: 'boolean',
+    date: 'date',
+    created_time: 'timestamp',
+    last_edited_time: 'timestamp'
+};
+NotionClient.COMPATIBLE_COLUMN_TYPES = {
+    number: /^(DOUBLE|INT|BIGINT|DECIMAL\(\d+,\d+\))$/,
+    boolean: /^(TINYINT\(1\)|INT|BIGINT)$/,
+    date: /^(DATE|DATETIME)$/,
+    timestamp: /^(DATE|DATETIME|TIMESTAMP)$/
+};
+// 值长度有上限的属性可使用的 VARCHAR 最小长度 (单选按最长的选项计算)
+NotionClient.VARCHAR_LENGTHS = {
+    status: 255,
+    email: 255,
+    phone_number: 255,
+    url: 255,
+    created_by: 255,
+    last_edited_by: 255,
+    unique_id: 64,
+    verification: 20
+};
+
+/**
+ * 各属性类型的伴随字段 { 后缀: MySQL 类型 }
+ */
+NotionClient.COMPANION_COLUMNS = {
+    people: { ids: 'TEXT' },
+    // 日期范围的结束时间、Notion 中设置的时区、是否为全天日期
+    date: { end: 'DATETIME', tz: 'VARCHAR(64)', all_day: 'TINYINT(1)' }
+};
+
+/**
+ * 请求限流与重试配置
+ * Notion 对每个集成的平均限制约为 3 次/秒
+ */
+NotionClient.RATE_LIMIT = {
+    requestsPerSecond: 3,
+    burst: 3,
+    maxRetries: 5,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    // Retry-After 的最大等待时间 (毫秒)
+    maxRetryAfter: 60000
+};
+
+// 可重试的网络层错误 (超时、连接被重置等)
+NotionClient.RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE'];
+
 module.exports = NotionClient;
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * 密码哈希与强度校验
+ * 使用 Node 内置的 scrypt，存储格式为 scrypt$N$r$p$<salt base64>$<hash base64>，参数随哈希一起保存，调整参数后旧哈希仍可校验
+ */
+
+// scrypt 参数 (N=2^14 约占用 16MB 内存)
+const PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const PREFIX = 'scrypt';
+
+// 密码强度要求
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 128;
+// 常见弱密码 (小写比较)
+const COMMON_PASSWORDS = [
+    'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+    'qwerty123', 'qwertyuiop', '11111111', '88888888', 'abc12345', 'abcd1234',
+    'admin123', 'admin1234', 'iloveyou', 'woaini1314', 'a1234567', 'aa123456'
+];
+
+// 校验时接受的最大 N 与 r*p，超出视为损坏的哈希，避免按异常参数分配大量内存
+const MAX_N = 2 ** 20;
+const MAX_RP = 64;
+
+const maxmem = (params) => 128 * params.N * params.r * 2;
+
+/**
+ * 是否为本模块生成的哈希 (旧数据为明文)
+ */
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${PREFIX}$`) && stored.split('$').length === 6;
+}
+
+/**
+ * 生成密码哈希
+ * @param {string} password
+ * @returns {string} 可直接存入 users.password 的字符串
+ */
+async function hash(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await scrypt(String(password), salt, KEY_LENGTH, { ...PARAMS, maxmem: maxmem(PARAMS) });
+    return [PREFIX, PARAMS.N, PARAMS.r, PARAMS.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * 校验密码
+ * 兼容升级前保存的明文密码，校验通过时 needsUpgrade 为 true，调用方应改存为哈希
+ * 哈希格式或参数损坏时按校验失败返回，不抛出异常
+ * @param {string} password 用户输入的密码
+ * @param {string} stored users.password 中保存的值
+ * @returns {Object} { valid, needsUpgrade }
+ */
+async function verify(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string' || !stored) {
+        return { valid: false, needsUpgrade: false };
+    }
+
+    if (!isHashed(stored)) {
+        // 先取摘要使两边长度一致，再做定长比较
+        const digest = (value) => crypto.createHash('sha256').update(value).digest();
+        const valid = crypto.timingSafeEqual(digest(password), digest(stored));
+        return { valid, needsUpgrade: valid };
+    }
+
+    const [, N, r, p, salt, expected] = stored.split('$');
+    const params = { N: Number(N), r: Number(r), p: Number(p) };
+    const expectedKey = Buffer.from(expected, 'base64');
+    const saneParams = [params.N, params.r, params.p].every(Number.isInteger) && params.r > 0 && params.p > 0
+        && params.N > 1 && params.N <= MAX_N && params.r * params.p <= MAX_RP;
+    if (!saneParams || expectedKey.length === 0 || !salt) {
+        return { valid: false, needsUpgrade: false };
+    }
+    let key;
+    try {
+        key = await scrypt(password, Buffer.from(salt, 'base64'), expectedKey.length, { ...params, maxmem: maxmem(params) });
+    } catch (error) {
+        // 哈希参数或盐损坏时按校验失败处理，不让登录接口返回 500
+        return { valid: false, needsUpgrade: false };
+    }
+    const valid = key.length === expectedKey.length && crypto.timingSafeEqual(key, expectedKey);
+    const outdated = params.N !== PARAMS.N || params.r !== PARAMS.r || params.p !== PARAMS.p;
+    return { valid, needsUpgrade: valid && outdated };
+}
+
+/**
+ * 校验密码强度
+ * 要求长度 8-128，同时包含字母与数字，不能与用户名相同，不能是常见弱密码
+ * @param {string} password
+ * @param {string} username 可选
+ * @returns {string|null} 不符合要求时返回错误信息
+ */
+function checkStrength(password, username = null) {
+    if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+        return `密码长度至少为 ${MIN_LENGTH} 位`;
+    }
+    if (password.length > MAX_LENGTH) {
+        return `密码长度不能超过 ${MAX_LENGTH} 位`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+        return '密码需同时包含字母和数字';
+    }
+    if (username && password.toLowerCase() === String(username).toLowerCase()) {
+        return '密码不能与用户名相同';
+    }
+    if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+        return '密码过于常见，请更换';
+    }
+    return null;
+}
+
+module.exports = {
+    isHashed,
+    hash,
+    verify,
+    checkStrength
+};
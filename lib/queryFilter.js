@@ -0,0 +1,165 @@
+/**
+ * 同步目标的 Notion 查询条件 (notion_sync_targets.query_filter / query_sorts)
+ * 保存时按数据源结构校验，同步时与增量水位线条件合并后传给 queryDataSource
+ */
+
+const TIMESTAMPS = ['created_time', 'last_edited_time'];
+const DIRECTIONS = ['ascending', 'descending'];
+
+// Notion 复合条件最多嵌套两层；增量同步还要在外层加一层 and，因此用户条件的顶层不是 and 时只能嵌套一层
+const MAX_DEPTH = 2;
+
+// 属性类型可使用的条件键 (文本类属性也可使用 rich_text 条件)
+const CONDITION_KEYS = {
+    title: ['title', 'rich_text'],
+    url: ['url', 'rich_text'],
+    email: ['email', 'rich_text'],
+    phone_number: ['phone_number', 'rich_text']
+};
+
+const filterError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY_FILTER';
+    return error;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 按名称或 ID 查找属性
+ */
+function findProperty(properties, key) {
+    if (properties[key]) return properties[key];
+    return Object.values(properties).find(prop => prop.id === key) || null;
+}
+
+/**
+ * 复合条件的嵌套层数 (单个属性条件为 0)
+ */
+function depthOf(filter) {
+    const children = filter.and || filter.or;
+    if (!Array.isArray(children)) return 0;
+    return 1 + Math.max(0, ...children.map(depthOf));
+}
+
+function checkCondition(condition, path) {
+    if (!isPlainObject(condition) || Object.keys(condition).length !== 1) {
+        throw filterError(`${path} must contain exactly one condition`);
+    }
+}
+
+function checkFilter(filter, properties, path) {
+    if (!isPlainObject(filter)) {
+        throw filterError(`${path} must be an object`);
+    }
+
+    const compound = ['and', 'or'].filter(key => key in filter);
+    if (compound.length > 0) {
+        const children = filter[compound[0]];
+        if (compound.length > 1 || Object.keys(filter).length > 1 || !Array.isArray(children) || children.length === 0) {
+            throw filterError(`${path} must be { and: [...] } or { or: [...] } with at least one condition`);
+        }
+        children.forEach((child, index) => checkFilter(child, properties, `${path}.${compound[0]}[${index}]`));
+        return;
+    }
+
+    if (filter.timestamp !== undefined) {
+        if (!TIMESTAMPS.includes(filter.timestamp)) {
+            throw filterError(`${path}.timestamp must be created_time or last_edited_time`);
+        }
+        checkCondition(filter[filter.timestamp], `${path}.${filter.timestamp}`);
+        return;
+    }
+
+    if (typeof filter.property !== 'string' || !filter.property) {
+        throw filterError(`${path} needs a property, a timestamp, or and / or`);
+    }
+    const prop = findProperty(properties, filter.property);
+    if (!prop) {
+        throw filterError(`${path}: property ${filter.property} does not exist`);
+    }
+
+    const keys = Object.keys(filter).filter(key => key !== 'property');
+    const allowed = CONDITION_KEYS[prop.type] || [prop.type];
+    if (keys.length !== 1 || !allowed.includes(keys[0])) {
+        throw filterError(`${path}: property ${filter.property} (${prop.type}) needs a ${allowed.join(' or ')} condition`);
+    }
+    checkCondition(filter[keys[0]], `${path}.${keys[0]}`);
+}
+
+/**
+ * 校验查询条件与排序
+ * @param {Object|null} filter Notion filter 对象
+ * @param {Array|null} sorts Notion sorts 数组
+ * @param {Object} properties 数据源结构中的 properties
+ * @throws {Error} code 为 INVALID_QUERY_FILTER
+ */
+function validate(filter, sorts, properties) {
+    if (filter !== null && filter !== undefined) {
+        checkFilter(filter, properties, 'filter');
+        const maxDepth = filter.and ? MAX_DEPTH : MAX_DEPTH - 1;
+        if (depthOf(filter) > maxDepth) {
+            throw filterError(`filter is nested too deeply (at most ${maxDepth} level(s) of and / or${filter.and ? '' : ' unless the top level is and'})`);
+        }
+    }
+
+    if (sorts !== null && sorts !== undefined) {
+        if (!Array.isArray(sorts)) {
+            throw filterError('sorts must be an array');
+        }
+        sorts.forEach((sort, index) => {
+            const path = `sorts[${index}]`;
+            if (!isPlainObject(sort) || !DIRECTIONS.includes(sort.direction)) {
+                throw filterError(`${path}.direction must be ascending or descending`);
+            }
+            if (sort.timestamp !== undefined) {
+                if (!TIMESTAMPS.includes(sort.timestamp)) {
+                    throw filterError(`${path}.timestamp must be created_time or last_edited_time`);
+                }
+            } else if (typeof sort.property !== 'string' || !findProperty(properties, sort.property)) {
+                throw filterError(`${path}: property ${sort.property} does not exist`);
+            }
+        });
+    }
+}
+
+/**
+ * 合并多个查询条件 (and)，忽略空条件；顶层为 and 的条件直接展开，避免增加嵌套层数
+ * @returns {Object|null}
+ */
+function combine(...filters) {
+    const conditions = [];
+    for (const filter of filters) {
+        if (!filter) continue;
+        if (Array.isArray(filter.and)) {
+            conditions.push(...filter.and);
+        } else {
+            conditions.push(filter);
+        }
+    }
+    if (conditions.length === 0) return null;
+    return conditions.length === 1 ? conditions[0] : { and: conditions };
+}
+
+const parseJson = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * 读取同步目标保存的查询条件
+ * @param {Object} target notion_sync_targets 记录
+ * @returns {Object} { filter, sorts }
+ */
+function fromTarget(target) {
+    return {
+        filter: parseJson(target.query_filter),
+        sorts: parseJson(target.query_sorts)
+    };
+}
+
+module.exports = {
+    validate,
+    combine,
+    fromTarget
+};
@@ -0,0 +1,105 @@
+/**
+ * 令牌桶限流器
+ * 同一个 key 的所有请求共享一个桶，按先进先出顺序排队获取令牌
+ * key 由调用方给出 (Notion 客户端使用 API Key 的哈希，不在内存中长期保存密钥)
+ */
+class TokenBucket {
+    /**
+     * @param {number} ratePerSecond 每秒补充的令牌数
+     * @param {number} capacity 桶容量 (允许的瞬时突发数)
+     */
+    constructor(ratePerSecond, capacity = ratePerSecond) {
+        this.ratePerSecond = ratePerSecond;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+        this.queue = [];
+        this.timer = null;
+        // 在此时间之前暂停发放令牌 (收到 429 Retry-After 时设置)
+        this.pausedUntil = 0;
+        this.lastUsed = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    /**
+     * 获取一个令牌，无可用令牌时等待
+     */
+    acquire() {
+        this.lastUsed = Date.now();
+        return new Promise(resolve => {
+            this.queue.push(resolve);
+            this.drain();
+        });
+    }
+
+    /**
+     * 暂停发放令牌，用于服务端要求等待 (Retry-After) 时整体退避
+     * @param {number} ms
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this.tokens = 0;
+        this.drain();
+    }
+
+    /**
+     * 是否已空闲超过指定时间 (无排队请求、未暂停)
+     * @param {number} ms
+     */
+    isIdle(ms) {
+        const now = Date.now();
+        return this.queue.length === 0 && !this.timer && now >= this.pausedUntil && now - this.lastUsed >= ms;
+    }
+
+    drain() {
+        if (this.timer) return;
+
+        this.refill();
+        const now = Date.now();
+        while (this.queue.length > 0 && now >= this.pausedUntil && this.tokens >= 1) {
+            this.tokens -= 1;
+            this.queue.shift()();
+        }
+
+        if (this.queue.length > 0) {
+            const waitForToken = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+            const wait = Math.max(waitForToken, this.pausedUntil - now, 1);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, wait);
+        }
+    }
+}
+
+// 空闲超过该时间 (毫秒) 的桶在下次获取时移除，避免轮换后的旧 key 一直占用内存
+const IDLE_TTL = 10 * 60 * 1000;
+
+const buckets = new Map();
+
+/**
+ * 获取指定 key 的共享令牌桶
+ * @param {string} key
+ * @param {number} ratePerSecond
+ * @param {number} capacity
+ */
+function getBucket(key, ratePerSecond, capacity) {
+    for (const [other, bucket] of buckets) {
+        if (other !== key && bucket.isIdle(IDLE_TTL)) buckets.delete(other);
+    }
+    if (!buckets.has(key)) {
+        buckets.set(key, new TokenBucket(ratePerSecond, capacity));
+    }
+    return buckets.get(key);
+}
+
+module.exports = {
+    TokenBucket,
+    getBucket
+};
@@ -1,28 +1,43 @@
 const cron = require('node-cron');
 const db = require('./db');
-const SyncEngine = require('./sync');
+const syncQueue = require('./syncQueue');
+const { isValidTimeZone } = require('./timezone');
 
-// 存储所有的任务，key 为 userId，value 为 cron 任务对象
+// 存储所有的任务，key 为同步目标 ID (notion_sync_targets.id)，value 为 cron 任务对象
 const tasks = new Map();
 
 /**
- * 初始化所有用户的定时同步任务
+ * 校验 cron 表达式与时区
+ * @param {string} cronExpression
+ * @param {string} timezone 可选，IANA 时区名称，如 Asia/Shanghai
+ * @returns {string|null} 错误信息，校验通过时返回 null
+ */
+function validateSchedule(cronExpression, timezone) {
+    if (cronExpression && !cron.validate(cronExpression)) {
+        return '无效的 Cron 表达式';
+    }
+    if (timezone && !isValidTimeZone(timezone)) {
+        return '无效的时区';
+    }
+    return null;
+}
+
+/**
+ * 初始化所有同步目标的定时任务
+ * 目标未单独配置 cron 时使用用户级的 sync_schedule 配置
  */
 async function init() {
     console.log('[Scheduler] Initializing all sync schedules...');
     try {
-        // 查询所有设置了定时同步的用户配置
-        const rows = await db.query("SELECT user_id, config_value FROM user_configs WHERE config_key = 'sync_schedule'");
-        
-        for (const row of rows) {
-            const userId = row.user_id;
-            const cronExpression = row.config_value;
-            
-            if (cronExpression && cron.validate(cronExpression)) {
-                scheduleSync(userId, cronExpression);
-            } else {
-                console.warn(`[Scheduler] Invalid cron expression for user ${userId}: ${cronExpression}`);
-            }
+        const targets = await db.query(`
+            SELECT t.*, c.config_value AS user_schedule
+            FROM notion_sync_targets t
+            LEFT JOIN user_configs c ON c.user_id = t.user_id AND c.config_key = 'sync_schedule'
+            WHERE t.status = 1
+        `);
+
+        for (const target of targets) {
+            scheduleTarget(target, target.user_schedule);
         }
         console.log(`[Scheduler] Initialized ${tasks.size} sync tasks.`);
     } catch (error) {
@@ -31,48 +46,89 @@ async function init() {
 }
 
 /**
- * 为特定用户安排同步任务
- * @param {number} userId 
- * @param {string} cronExpression 
+ * 为单个同步目标安排定时任务
+ * @param {Object} target notion_sync_targets 记录
+ * @param {string} defaultCron 目标未配置 sync_cron 时使用的用户级 cron 表达式
  */
-function scheduleSync(userId, cronExpression) {
-    // 如果该用户已经有任务，先停止并移除
-    if (tasks.has(userId)) {
-        tasks.get(userId).stop();
-        tasks.delete(userId);
-    }
+function scheduleTarget(target, defaultCron = null) {
+    // 如果该目标已经有任务，先停止并移除
+    stopTarget(target.id, false);
+
+    const cronExpression = target.sync_cron || defaultCron;
+    const timezone = target.sync_timezone || undefined;
 
-    if (!cronExpression) return;
+    if (!cronExpression || target.status === 0) return;
+
+    const error = validateSchedule(cronExpression, timezone);
+    if (error) {
+        console.warn(`[Scheduler] ${error} for target ${target.id}: ${cronExpression} ${timezone || ''}`);
+        return;
+    }
 
-    // 创建新任务
+    // 定时触发时只负责把同步加入任务队列，由队列统一执行
+    const userId = target.user_id;
+    const databaseId = target.database_id;
     const task = cron.schedule(cronExpression, async () => {
-        console.log(`[Scheduler] Running scheduled sync for user ${userId} (${cronExpression})`);
+        console.log(`[Scheduler] Queueing scheduled sync for database ${databaseId} of user ${userId} (${cronExpression})`);
         try {
-            await SyncEngine.run(userId);
-            console.log(`[Scheduler] Scheduled sync completed for user ${userId}`);
-        } catch (error) {
-            console.error(`[Scheduler] Scheduled sync failed for user ${userId}:`, error);
+            const { jobId, existing } = await syncQueue.enqueue(userId, { databaseId, trigger: 'schedule' });
+            console.log(`[Scheduler] Scheduled sync for database ${databaseId} ${existing ? 'already queued as' : 'queued as'} job ${jobId}`);
+        } catch (err) {
+            console.error(`[Scheduler] Failed to queue scheduled sync for database ${databaseId}:`, err);
         }
-    });
+    }, { timezone });
 
-    tasks.set(userId, task);
-    console.log(`[Scheduler] Scheduled sync for user ${userId} set to: ${cronExpression}`);
+    tasks.set(target.id, task);
+    console.log(`[Scheduler] Scheduled sync for database ${databaseId} set to: ${cronExpression}${timezone ? ` (${timezone})` : ''}`);
+}
+
+/**
+ * 停止特定同步目标的定时任务
+ * @param {number} targetId
+ */
+function stopTarget(targetId, log = true) {
+    if (tasks.has(targetId)) {
+        tasks.get(targetId).stop();
+        tasks.delete(targetId);
+        if (log) console.log(`[Scheduler] Stopped sync for target ${targetId}`);
+    }
+}
+
+/**
+ * 按数据库中的最新配置重新安排单个同步目标
+ * @param {number} targetId
+ */
+async function refreshTarget(targetId) {
+    const rows = await db.query(`
+        SELECT t.*, c.config_value AS user_schedule
+        FROM notion_sync_targets t
+        LEFT JOIN user_configs c ON c.user_id = t.user_id AND c.config_key = 'sync_schedule'
+        WHERE t.id = ?
+    `, [targetId]);
+
+    if (rows.length === 0) {
+        stopTarget(targetId);
+        return;
+    }
+    scheduleTarget(rows[0], rows[0].user_schedule);
 }
 
 /**
- * 停止特定用户的同步任务
- * @param {number} userId 
+ * 重新安排用户的全部同步目标 (用户级 sync_schedule 变更后调用)
+ * @param {number} userId
  */
-function stopSync(userId) {
-    if (tasks.has(userId)) {
-        tasks.get(userId).stop();
-        tasks.delete(userId);
-        console.log(`[Scheduler] Stopped sync for user ${userId}`);
+async function refreshUser(userId) {
+    const targets = await db.query('SELECT id FROM notion_sync_targets WHERE user_id = ?', [userId]);
+    for (const target of targets) {
+        await refreshTarget(target.id);
     }
 }
 
 module.exports = {
     init,
-    scheduleSync,
-    stopSync
+    validateSchedule,
+    scheduleTarget,
+    stopTarget,
+    refreshTarget,
+    refreshUser
 };
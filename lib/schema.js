@@ -0,0 +1,455 @@
+const db = require('./db');
+const NotionClient = require('./notion');
+
+/**
+ * 同步表结构管理
+ * 对比 MySQL 现有字段与 Notion 属性，生成并执行 ALTER TABLE，避免删表重建丢失数据
+ */
+
+/**
+ * 生成同步表的建表语句 (Notion 字段 + 系统字段)
+ * @param {string} tableName
+ * @param {string[]} columns mapNotionToMysql 返回的字段定义
+ * @param {boolean} ifNotExists
+ */
+function buildCreateTableSql(tableName, columns, ifNotExists = true) {
+    const systemColumns = Object.entries(NotionClient.SYSTEM_COLUMNS)
+        .map(([name, definition]) => `\`${name}\` ${definition}`);
+
+    return `CREATE TABLE ${ifNotExists ? 'IF NOT EXISTS ' : ''}\`${tableName}\` (
+        ${columns.concat(systemColumns).join(', ')}
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+}
+
+/**
+ * 同步表对应的关联属性链接表名
+ */
+function relationTableName(tableName) {
+    return `${tableName}_relations`;
+}
+
+/**
+ * 确保关联属性链接表存在
+ * 每行表示源记录的一个关联属性指向的一个页面，可与各同步表的 notion_id 直接 JOIN
+ * @param {string} tableName 同步表名
+ */
+async function ensureRelationTable(tableName) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS \`${relationTableName(tableName)}\` (
+            \`id\` BIGINT AUTO_INCREMENT PRIMARY KEY,
+            \`source_id\` VARCHAR(64) NOT NULL COMMENT '源记录 notion_id',
+            \`property_id\` VARCHAR(100) NOT NULL COMMENT 'Notion 关联属性 ID',
+            \`property_name\` VARCHAR(255) COMMENT '关联属性名称',
+            \`related_id\` VARCHAR(64) NOT NULL COMMENT '关联页面 ID',
+            \`position\` INT NOT NULL DEFAULT 0 COMMENT '在关联列表中的顺序',
+            UNIQUE KEY \`uk_link\` (\`source_id\`, \`property_id\`, \`related_id\`),
+            INDEX \`idx_related_id\` (\`related_id\`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+}
+
+/**
+ * 同步表对应的行变更历史表名
+ */
+function historyTableName(tableName) {
+    return `${tableName}_history`;
+}
+
+/**
+ * 确保行变更历史表存在
+ * 每行记录一条记录的一次新增、修改或删除，修改时只保存变化字段的前后值
+ * 建表会隐式提交事务，需在写入数据的事务开始前调用
+ * @param {string} tableName 同步表名
+ */
+async function ensureHistoryTable(tableName) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS \`${historyTableName(tableName)}\` (
+            \`id\` BIGINT AUTO_INCREMENT PRIMARY KEY,
+            \`notion_id\` VARCHAR(64) NOT NULL COMMENT '记录 notion_id',
+            \`change_type\` VARCHAR(10) NOT NULL COMMENT '变更类型: insert, update, delete',
+            \`source\` VARCHAR(20) NOT NULL DEFAULT 'sync' COMMENT '变更来源: sync, write_back',
+            \`job_id\` INT NULL COMMENT '产生变更的同步任务 ID (sync_jobs.id)',
+            \`before_data\` JSON COMMENT '变更前的值 (修改时只含变化的字段，删除时为整行)',
+            \`after_data\` JSON COMMENT '变更后的值 (修改时只含变化的字段，新增时为整行)',
+            \`created_at\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX \`idx_notion_id\` (\`notion_id\`, \`id\`),
+            INDEX \`idx_job_id\` (\`job_id\`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+}
+
+/**
+ * 影子表同步使用的表名：新数据先写入 <表名>__shadow，替换后旧数据保留为 <表名>__prev
+ */
+function shadowTableName(tableName) {
+    return `${tableName}__shadow`;
+}
+
+function previousTableName(tableName) {
+    return `${tableName}__prev`;
+}
+
+const renameSql = (pairs) => `RENAME TABLE ${pairs.map(([from, to]) => `\`${from}\` TO \`${to}\``).join(', ')}`;
+
+/**
+ * 删除影子表及其链接表、历史表
+ */
+async function dropShadowTable(tableName) {
+    const shadow = shadowTableName(tableName);
+    await db.query(`DROP TABLE IF EXISTS \`${shadow}\`, \`${relationTableName(shadow)}\`, \`${historyTableName(shadow)}\``);
+}
+
+/**
+ * 按正式表的结构新建空的影子表 (先删除上次失败遗留的影子表)
+ * @param {string} tableName 正式表名，需已按最新结构迁移
+ * @param {Object} options
+ * @param {boolean} options.relations 同时创建影子链接表
+ * @param {boolean} options.history 同时创建影子历史表，替换成功后并入正式历史表
+ * @returns {string} 影子表名
+ */
+async function createShadowTable(tableName, options = {}) {
+    const shadow = shadowTableName(tableName);
+    await dropShadowTable(tableName);
+    await db.query(`CREATE TABLE \`${shadow}\` LIKE \`${tableName}\``);
+    if (options.relations) {
+        await db.query(`CREATE TABLE \`${relationTableName(shadow)}\` LIKE \`${relationTableName(tableName)}\``);
+    }
+    if (options.history) {
+        await ensureHistoryTable(shadow);
+    }
+    return shadow;
+}
+
+/**
+ * 用影子表替换正式表，正式表保留为 <表名>__prev (覆盖上一代)
+ * 所有改名在一条 RENAME TABLE 中完成，查询不会看到中间状态
+ * @param {string} tableName
+ * @param {boolean} withRelations 同时替换链接表
+ */
+async function swapShadowTable(tableName, withRelations = false) {
+    const shadow = shadowTableName(tableName);
+    const previous = previousTableName(tableName);
+    await db.query(`DROP TABLE IF EXISTS \`${previous}\`, \`${relationTableName(previous)}\``);
+
+    const pairs = [[tableName, previous], [shadow, tableName]];
+    if (withRelations) {
+        pairs.push(
+            [relationTableName(tableName), relationTableName(previous)],
+            [relationTableName(shadow), relationTableName(tableName)]
+        );
+    }
+    await db.query(renameSql(pairs));
+}
+
+/**
+ * 将正式表回滚为上一代 (<表名>__prev)，当前数据互换为上一代，可再次回滚恢复
+ * @param {string} tableName
+ * @returns {Object} { tableName, previousTable }
+ */
+async function rollbackTable(tableName) {
+    const previous = previousTableName(tableName);
+    if (!(await tableExists(previous))) {
+        const error = new Error(`No previous generation of ${tableName} to roll back to`);
+        error.code = 'NO_PREVIOUS_TABLE';
+        throw error;
+    }
+
+    const temp = `${tableName}__rollback`;
+    const pairs = [[tableName, temp], [previous, tableName], [temp, previous]];
+    if (await tableExists(relationTableName(previous))) {
+        if (await tableExists(relationTableName(tableName))) {
+            pairs.push(
+                [relationTableName(tableName), relationTableName(temp)],
+                [relationTableName(previous), relationTableName(tableName)],
+                [relationTableName(temp), relationTableName(previous)]
+            );
+        } else {
+            pairs.push([relationTableName(previous), relationTableName(tableName)]);
+        }
+    }
+    await db.query(renameSql(pairs));
+    return { tableName, previousTable: previous };
+}
+
+/**
+ * 重命名同步表及其链接表、历史表和上一代 (存在的才重命名)，并删除遗留的影子表
+ * @param {string} from
+ * @param {string} to
+ * @param {Array} extraPairs 需要一并重命名的其他表 [[原表名, 新表名]]
+ */
+async function renameTableSet(from, to, extraPairs = []) {
+    await dropShadowTable(from);
+    const candidates = [
+        [from, to],
+        [relationTableName(from), relationTableName(to)],
+        [historyTableName(from), historyTableName(to)],
+        [previousTableName(from), previousTableName(to)],
+        [relationTableName(previousTableName(from)), relationTableName(previousTableName(to))],
+        ...extraPairs
+    ];
+
+    const pairs = [];
+    for (const pair of candidates) {
+        if (await tableExists(pair[0])) pairs.push(pair);
+    }
+    if (pairs.length > 0) {
+        await db.query(renameSql(pairs));
+    }
+}
+
+/**
+ * 检查表是否存在
+ */
+async function tableExists(tableName) {
+    const rows = await db.query(
+        'SELECT COUNT(*) as exists_count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
+        [tableName]
+    );
+    return rows[0].exists_count > 0;
+}
+
+/**
+ * 规范化字段类型，便于与 SHOW COLUMNS 返回的 Type 比较
+ * 例如 "ENUM('a', 'b')" 与 "enum('a','b')" 视为相同
+ */
+function normalizeType(type) {
+    return String(type).trim().toLowerCase().replace(/',\s+'/g, "','");
+}
+
+const quoteComment = (comment) => `'${comment.replace(/'/g, "''")}'`;
+
+const TEXT_TYPES = ['text', 'mediumtext', 'longtext', 'varchar', 'char'];
+const baseType = (type) => normalizeType(type).replace(/\(.*$/, '').trim();
+
+/**
+ * ENUM 类型的选项列表
+ */
+function enumOptions(type) {
+    const options = [];
+    const pattern = /'((?:[^']|'')*)'/g;
+    let match;
+    while ((match = pattern.exec(String(type))) !== null) {
+        options.push(match[1].replace(/''/g, "'"));
+    }
+    return options;
+}
+
+/**
+ * 字段类型变更时现有数据是否可能无法转换
+ * 转为文本类型总是安全的；ENUM 之间只新增选项时保留数据，删除或改名选项后现有行可能仍是旧值，严格模式下 MODIFY 会失败；
+ * 其余类型变化同样需要清空该字段，由下一次全量同步重新写入
+ */
+function needsReset(fromType, toType) {
+    const from = baseType(fromType);
+    const to = baseType(toType);
+    if (TEXT_TYPES.includes(to)) return false;
+    if (from === 'enum' && to === 'enum') {
+        const remaining = new Set(enumOptions(toType));
+        return enumOptions(fromType).some(option => !remaining.has(option));
+    }
+    return from !== to;
+}
+
+/**
+ * 对比现有表结构与 Notion 字段定义，生成迁移计划
+ * @param {string} tableName
+ * @param {Object} mapped mapNotionToMysql 的返回值
+ * @param {Object} options
+ * @param {boolean} options.allowDrop 是否删除 Notion 中已不存在的字段，默认 true
+ * @returns {Object} { tableName, created, changes, statements }
+ */
+async function planMigration(tableName, mapped, options = {}) {
+    const { allowDrop = true } = options;
+
+    if (!(await tableExists(tableName))) {
+        return {
+            tableName,
+            created: true,
+            changes: mapped.definitions.map(def => ({ action: 'add', column: def.name, type: def.type, property: def.propertyName })),
+            statements: [buildCreateTableSql(tableName, mapped.columns, false)]
+        };
+    }
+
+    const existing = await db.query(`SHOW FULL COLUMNS FROM \`${tableName}\``);
+    const byComment = new Map();
+    const byName = new Map();
+    existing.forEach(col => {
+        byName.set(col.Field, col);
+        if (col.Comment && col.Comment.startsWith('notion:')) {
+            byComment.set(col.Comment, col);
+        }
+    });
+
+    const matched = new Set(['notion_id']);
+    const changes = [];
+    const clauses = { drop: [], rename: [], modify: [], add: [] };
+    let previousName = 'notion_id';
+
+    for (const def of mapped.definitions) {
+        // 优先按属性 ID 匹配 (可识别改名)，旧表没有注释时按字段名匹配
+        let column = byComment.get(def.comment);
+        if (!column) {
+            const sameName = byName.get(def.name);
+            if (sameName && !matched.has(sameName.Field) && !(sameName.Comment && sameName.Comment.startsWith('notion:'))) {
+                column = sameName;
+            }
+        }
+
+        const definitionSql = `${def.type} COMMENT ${quoteComment(def.comment)}`;
+
+        if (!column) {
+            changes.push({ action: 'add', column: def.name, type: def.type, property: def.propertyName });
+            clauses.add.push(`ADD COLUMN \`${def.name}\` ${definitionSql} AFTER \`${previousName}\``);
+        } else {
+            matched.add(column.Field);
+            const reset = normalizeType(column.Type) !== normalizeType(def.type) && needsReset(column.Type, def.type);
+            if (reset) {
+                // 无法转换的字段在同一条 ALTER 中删除后重建 (同时完成改名)，ALTER 失败时数据不受影响
+                changes.push(column.Field !== def.name
+                    ? { action: 'rename', column: def.name, from: column.Field, type: def.type, property: def.propertyName, reset }
+                    : { action: 'modify', column: def.name, from: column.Type, type: def.type, property: def.propertyName, reset });
+                clauses.drop.push(`DROP COLUMN \`${column.Field}\``);
+                clauses.add.push(`ADD COLUMN \`${def.name}\` ${definitionSql} AFTER \`${previousName}\``);
+            } else if (column.Field !== def.name) {
+                changes.push({ action: 'rename', column: def.name, from: column.Field, type: def.type, property: def.propertyName, reset });
+                clauses.rename.push(`CHANGE COLUMN \`${column.Field}\` \`${def.name}\` ${definitionSql}`);
+            } else if (normalizeType(column.Type) !== normalizeType(def.type)) {
+                changes.push({ action: 'modify', column: def.name, from: column.Type, type: def.type, property: def.propertyName, reset });
+                clauses.modify.push(`MODIFY COLUMN \`${def.name}\` ${definitionSql}`);
+            } else if (column.Comment !== def.comment) {
+                // 仅补充属性 ID 注释，方便后续识别改名
+                clauses.modify.push(`MODIFY COLUMN \`${def.name}\` ${definitionSql}`);
+            }
+        }
+        previousName = def.name;
+    }
+
+    // 补齐系统字段
+    for (const [name, definition] of Object.entries(NotionClient.SYSTEM_COLUMNS)) {
+        matched.add(name);
+        if (!byName.has(name)) {
+            changes.push({ action: 'add', column: name, type: definition, system: true });
+            clauses.add.push(`ADD COLUMN \`${name}\` ${definition}`);
+        }
+    }
+
+    // Notion 中已不存在的字段；被字段映射覆盖排除的属性无论 allowDrop 都删除
+    const excluded = new Set(mapped.excluded || []);
+    for (const column of existing) {
+        if (matched.has(column.Field)) continue;
+        const parsed = NotionClient.parseColumnComment(column.Comment);
+        if (parsed && excluded.has(parsed.propertyId)) {
+            changes.push({ action: 'drop', column: column.Field, type: column.Type, excluded: true });
+            clauses.drop.push(`DROP COLUMN \`${column.Field}\``);
+            continue;
+        }
+        changes.push({ action: 'drop', column: column.Field, type: column.Type, skipped: !allowDrop });
+        if (allowDrop) {
+            clauses.drop.push(`DROP COLUMN \`${column.Field}\``);
+        }
+    }
+
+    const allClauses = [...clauses.drop, ...clauses.rename, ...clauses.modify, ...clauses.add];
+    const statements = allClauses.length > 0
+        ? [`ALTER TABLE \`${tableName}\`\n    ${allClauses.join(',\n    ')}`]
+        : [];
+
+    return { tableName, created: false, changes, statements };
+}
+
+/**
+ * 从行变更历史与上一代数据 (<表名>__prev) 中清除字段
+ * 被字段映射覆盖排除的属性通常含敏感信息，只删除正式表的字段时旧值仍留在这些表中
+ * 历史记录按字段名清除，排除前已改名的字段在改名前的记录中使用旧字段名，不会被清除
+ * @param {string} tableName
+ * @param {string[]} columns
+ */
+async function purgeColumns(tableName, columns) {
+    const history = historyTableName(tableName);
+    if (await tableExists(history)) {
+        const paths = columns.map(column => `$."${column.replace(/"/g, '\\"')}"`);
+        const placeholders = paths.map(() => '?').join(', ');
+        await db.query(
+            `UPDATE \`${history}\`
+             SET before_data = JSON_REMOVE(before_data, ${placeholders}), after_data = JSON_REMOVE(after_data, ${placeholders})
+             WHERE JSON_CONTAINS_PATH(before_data, 'one', ${placeholders}) OR JSON_CONTAINS_PATH(after_data, 'one', ${placeholders})`,
+            [...paths, ...paths, ...paths, ...paths]
+        );
+    }
+
+    const previous = previousTableName(tableName);
+    if (await tableExists(previous)) {
+        const existing = new Set((await db.query(`SHOW COLUMNS FROM \`${previous}\``)).map(col => col.Field));
+        const drops = columns.filter(column => existing.has(column));
+        if (drops.length > 0) {
+            await db.query(`ALTER TABLE \`${previous}\` ${drops.map(column => `DROP COLUMN \`${column}\``).join(', ')}`);
+        }
+    }
+}
+
+/**
+ * 执行迁移计划
+ * 所有字段变更 (包括清空无法转换的字段) 合并为一条 ALTER TABLE，执行失败时表结构与数据保持不变
+ * 被排除属性的字段同时从行变更历史与上一代数据中清除
+ */
+async function applyMigration(plan) {
+    for (const sql of plan.statements) {
+        await db.query(sql);
+    }
+
+    const excluded = plan.changes.filter(change => change.action === 'drop' && change.excluded).map(change => change.column);
+    if (excluded.length > 0) {
+        await purgeColumns(plan.tableName, excluded);
+    }
+    return plan;
+}
+
+/**
+ * 生成并执行迁移计划
+ * @param {string} tableName
+ * @param {Object} mapped mapNotionToMysql 的返回值
+ * @param {Object} options
+ * @param {boolean} options.allowDrop 是否删除 Notion 中已不存在的字段
+ * @param {boolean} options.preview 为 true 时只返回计划，不执行
+ */
+async function migrate(tableName, mapped, options = {}) {
+    const plan = await planMigration(tableName, mapped, options);
+    if (options.preview) {
+        return plan;
+    }
+    return await applyMigration(plan);
+}
+
+// 新增后需要全量回填的系统字段 (写回冲突检测依赖 notion_edited_at)
+const BACKFILL_SYSTEM_COLUMNS = ['notion_edited_at'];
+
+/**
+ * 迁移后现有行是否需要重新全量拉取 (新增字段或字段被清空后，未修改的记录不会出现在增量同步中)
+ * @param {Object} plan planMigration 的返回值
+ */
+function requiresResync(plan) {
+    return !plan.created && plan.changes.some(change =>
+        (change.action === 'add' && (!change.system || BACKFILL_SYSTEM_COLUMNS.includes(change.column))) || change.reset);
+}
+
+module.exports = {
+    buildCreateTableSql,
+    relationTableName,
+    ensureRelationTable,
+    historyTableName,
+    ensureHistoryTable,
+    shadowTableName,
+    previousTableName,
+    createShadowTable,
+    dropShadowTable,
+    swapShadowTable,
+    rollbackTable,
+    renameTableSet,
+    tableExists,
+    normalizeType,
+    planMigration,
+    purgeColumns,
+    applyMigration,
+    migrate,
+    requiresResync
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+/**
+ * 敏感配置加密 (user_configs 中的 Notion API 密钥、Webhook 密钥)
+ * 使用 AES-256-GCM，服务端密钥读取环境变量 CONFIG_ENCRYPTION_KEY
+ * 密文格式为 enc:v1:<iv base64>:<tag base64>:<密文 base64>，不带前缀的值视为升级前保存的明文
+ */
+
+// 需要加密保存的配置项
+const SECRET_KEYS = ['notion_api_key', 'notion_webhook_secret', 'notion_webhook_pending'];
+
+const PREFIX = 'enc:v1:';
+const IV_LENGTH = 12;
+const MASK = '****';
+// 掩码后保留的末尾字符数
+const VISIBLE_LENGTH = 4;
+
+const secretError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * 由密钥字符串得到 32 字节密钥：64 位十六进制直接使用，其他字符串取 SHA-256
+ * @param {string} value 默认读取 CONFIG_ENCRYPTION_KEY
+ * @returns {Buffer}
+ * @throws {Error} 未配置时 code 为 CONFIG_KEY_MISSING
+ */
+function deriveKey(value = process.env.CONFIG_ENCRYPTION_KEY) {
+    if (!value) {
+        throw secretError('CONFIG_KEY_MISSING', 'CONFIG_ENCRYPTION_KEY is not configured, set it in the environment or .env file (see .env.example)');
+    }
+    if (/^[0-9a-f]{64}$/i.test(value)) {
+        return Buffer.from(value, 'hex');
+    }
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+function isSecretKey(configKey) {
+    return SECRET_KEYS.includes(configKey);
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * 加密，空值原样返回
+ * @param {string} plain
+ * @param {Buffer} key 默认为当前密钥
+ * @returns {string}
+ */
+function encrypt(plain, key = deriveKey()) {
+    if (plain === null || plain === undefined || plain === '') return plain;
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    return PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * 解密，未加密的值 (旧数据或空值) 原样返回
+ * @param {string} value
+ * @param {Buffer} key 默认为当前密钥
+ * @returns {string}
+ * @throws {Error} 密钥不匹配或密文损坏时 code 为 CONFIG_DECRYPT_FAILED
+ */
+function decrypt(value, key) {
+    if (!isEncrypted(value)) return value;
+    const parts = value.slice(PREFIX.length).split(':');
+    if (parts.length !== 3) {
+        throw secretError('CONFIG_DECRYPT_FAILED', 'Malformed encrypted config value');
+    }
+
+    const [iv, tag, data] = parts.map(part => Buffer.from(part, 'base64'));
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key || deriveKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    } catch (error) {
+        if (error.code === 'CONFIG_KEY_MISSING') throw error;
+        throw secretError('CONFIG_DECRYPT_FAILED', 'Failed to decrypt config value, check CONFIG_ENCRYPTION_KEY');
+    }
+}
+
+/**
+ * 掩码，只保留末尾几位，如 ****ab12
+ */
+function mask(value) {
+    if (!value) return value;
+    const plain = String(value);
+    return plain.length <= VISIBLE_LENGTH * 2 ? MASK : `${MASK}${plain.slice(-VISIBLE_LENGTH)}`;
+}
+
+/**
+ * 是否为 mask 生成的掩码 (前端回显后原样提交)
+ */
+function isMasked(value) {
+    return typeof value === 'string' && value.startsWith(MASK);
+}
+
+/**
+ * 返回给前端的配置：敏感项替换为掩码
+ * @param {Object} configs db.getAllConfigs 的结果
+ * @returns {Object}
+ */
+function maskConfigs(configs) {
+    const masked = { ...configs };
+    for (const key of SECRET_KEYS) {
+        if (masked[key]) masked[key] = mask(masked[key]);
+    }
+    return masked;
+}
+
+module.exports = {
+    SECRET_KEYS,
+    deriveKey,
+    isSecretKey,
+    isEncrypted,
+    encrypt,
+    decrypt,
+    mask,
+    isMasked,
+    maskConfigs
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const db = require('./db');
+const token = require('./token');
+
+/**
+ * 登录会话
+ * 登录时签发短期访问令牌 (JWT) 与长期刷新令牌；刷新令牌只保存哈希，刷新时轮换，登出时吊销会话
+ * 访问令牌中带有会话 ID，校验时同时检查会话是否已吊销
+ */
+
+// 访问令牌有效期 (秒)
+const ACCESS_TOKEN_TTL = 15 * 60;
+// 刷新令牌 (会话) 有效期 (天)
+const REFRESH_TOKEN_DAYS = 30;
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const sessionError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_REFRESH_TOKEN';
+    return error;
+};
+
+/**
+ * 为会话签发一组令牌
+ * @returns {Object} { accessToken, refreshToken, expiresIn }
+ */
+function issue(userId, sessionId, refreshToken) {
+    return {
+        accessToken: token.sign({ sub: userId, sid: sessionId }, ACCESS_TOKEN_TTL),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+/**
+ * 登录成功后创建会话
+ * @param {Object} user users 记录
+ * @param {Object} client { userAgent, ip }
+ * @returns {Object} { accessToken, refreshToken, expiresIn }
+ */
+async function create(user, client = {}) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const result = await db.query(
+        `INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [user.id, hashToken(refreshToken), client.userAgent ? String(client.userAgent).slice(0, 255) : null, client.ip || null, REFRESH_TOKEN_DAYS]
+    );
+    return issue(user.id, result.insertId, refreshToken);
+}
+
+/**
+ * 用刷新令牌换取新的令牌，旧的刷新令牌随即失效
+ * @param {string} refreshToken
+ * @returns {Object} { accessToken, refreshToken, expiresIn, userId }
+ * @throws {Error} code 为 INVALID_REFRESH_TOKEN
+ */
+async function refresh(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw sessionError('Missing refresh token');
+    }
+    const rows = await db.query(
+        'SELECT * FROM auth_sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()',
+        [hashToken(refreshToken)]
+    );
+    if (rows.length === 0) {
+        throw sessionError('Refresh token is invalid, expired or revoked');
+    }
+    const session = rows[0];
+
+    const nextToken = crypto.randomBytes(32).toString('base64url');
+    const result = await db.query(
+        'UPDATE auth_sessions SET refresh_token_hash = ?, last_used_at = NOW() WHERE id = ? AND refresh_token_hash = ?',
+        [hashToken(nextToken), session.id, session.refresh_token_hash]
+    );
+    // 并发刷新时只有一个请求能完成轮换
+    if (result.affectedRows === 0) {
+        throw sessionError('Refresh token is invalid, expired or revoked');
+    }
+    return { ...issue(session.user_id, session.id, nextToken), userId: session.user_id };
+}
+
+/**
+ * 会话是否仍有效 (未吊销、未过期)
+ */
+async function isActive(sessionId) {
+    const rows = await db.query(
+        'SELECT id FROM auth_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+        [sessionId]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * 吊销会话 (登出)
+ */
+async function revoke(sessionId) {
+    await db.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [sessionId]);
+}
+
+/**
+ * 吊销用户的全部会话 (退出所有设备、重置密码)
+ * @returns {number} 吊销的会话数
+ */
+async function revokeAll(userId) {
+    const result = await db.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+    return result.affectedRows;
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    create,
+    refresh,
+    isActive,
+    revoke,
+    revokeAll
+};
@@ -1,14 +1,56 @@
 const db = require('./db');
 const NotionClient = require('./notion');
 const Auth = require('./auth');
+const schema = require('./schema');
+const timezone = require('./timezone');
+const history = require('./history');
+const tables = require('./tables');
+const fieldOverrides = require('./fieldOverrides');
+const queryFilter = require('./queryFilter');
+
+/**
+ * 以固定并发上限依次处理列表中的每一项
+ * @param {Array} items
+ * @param {number} limit 同时执行的最大数量
+ * @param {Function} worker async (item) => {}
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let index = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (index < items.length) {
+            const item = items[index++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * ISO 时间转为 MySQL DATETIME 字符串 (指定时区的本地时间，未指定时为 UTC)
+ */
+function formatMysqlDate(isoString, timeZone = null) {
+    if (!isoString) return null;
+    return timezone.formatDateTime(isoString, timeZone) || isoString;
+}
 
 class SyncEngine {
     /**
      * 执行同步任务
      * @param {number} userId 执行该任务的用户 ID
      * @param {string} targetDatabaseId 可选，指定同步的数据库 ID，如果不传则同步所有启用的数据库
+     * @param {Object} options 可选项
+     * @param {boolean} options.fullSync 是否忽略增量水位线，执行全量同步
+     * @param {string} options.dataSourceId 只同步数据库中的指定数据源 (不推进增量水位线)
+     * @param {number} options.jobId 执行本次同步的任务 ID，记录到变更历史中
+     * @param {Function} options.onProgress 进度回调，参数为 { databaseId, type, ... }
+     * @param {Function} options.shouldCancel 返回 true 时中止同步 (每拉取一页检查一次)
      */
-    static async run(userId, targetDatabaseId = null) {
+    static async run(userId, targetDatabaseId = null, options = {}) {
+        const { fullSync = false } = options;
+        const report = (event) => {
+            if (options.onProgress) options.onProgress(event);
+        };
+
         // 权限验证
         const hasPermission = await Auth.checkPermission(userId, 'sync:notion');
         if (!hasPermission) {
@@ -42,9 +84,17 @@ class SyncEngine {
         const results = [];
 
         for (const target of targets) {
+            await SyncEngine.throwIfCancelled(options);
+            report({ databaseId: target.database_id, type: 'start' });
+
             try {
                 const databaseId = target.database_id;
 
+                // 增量同步：只拉取 last_edited_time 不早于水位线的记录
+                // Notion 的 last_edited_time 精度为分钟，因此使用 on_or_after 避免漏掉同一分钟内的修改
+                const watermark = fullSync ? null : target.last_edited_watermark;
+                let highWaterMark = target.last_edited_watermark || null;
+
                 // 第一步：获取数据库信息，提取 data_sources
                 const dbInfo = await notion.getDatabase(databaseId);
                 if (!dbInfo.data_sources || dbInfo.data_sources.length === 0) {
@@ -60,89 +110,885 @@ class SyncEngine {
                     `, [userId, databaseId, ds.id, ds.name]);
                 }
 
-                // 对于单一数据源的数据库，通常使用第一个即可
-                const dataSourceId = dbInfo.data_sources[0].id;
+                // 每个数据源单独建表、单独映射字段；指定 dataSourceId 时只同步该数据源
+                const dataSources = options.dataSourceId
+                    ? dbInfo.data_sources.filter(ds => ds.id === options.dataSourceId)
+                    : dbInfo.data_sources;
+                if (dataSources.length === 0) {
+                    throw new Error(`Data source ${options.dataSourceId} not found in database ${databaseId}`);
+                }
 
-                // 第二步：获取数据源列结构
-                const structure = await notion.getDataSourceStructure(dataSourceId);
-                const properties = structure.properties;
-                const dsTitle = structure.title || dbInfo.title || 'notion_data';
+                const dataSourceResults = [];
+                for (const ds of dataSources) {
+                    try {
+                        const dsResult = await SyncEngine.syncDataSource(notion, userId, target, ds, {
+                            watermark,
+                            dbTitle: dbInfo.title,
+                            timeZone: configs.timezone || null,
+                            jobId: options.jobId,
+                            onProgress: options.onProgress,
+                            shouldCancel: options.shouldCancel
+                        });
+                        if (dsResult.highWaterMark && (!highWaterMark || dsResult.highWaterMark > highWaterMark)) {
+                            highWaterMark = dsResult.highWaterMark;
+                        }
+                        delete dsResult.highWaterMark;
+                        dataSourceResults.push({ success: true, ...dsResult });
+                    } catch (dsError) {
+                        if (dsError.code === 'SYNC_CANCELLED') throw dsError;
+                        console.error(`Sync failed for data source ${ds.id} of database ${databaseId}:`, dsError);
+                        report({ databaseId, dataSourceId: ds.id, type: 'error', error: dsError.message });
+                        dataSourceResults.push({ dataSourceId: ds.id, name: ds.name, success: false, error: dsError.message });
+                    }
+                }
 
-                // 第三步：列结构转换并创建/更新 MySQL 表
-                const tableName = NotionClient.generateTableName(userId, dsTitle);
-                const { columns, mapping } = notion.mapNotionToMysql(properties);
-                
-                const createTableSql = `CREATE TABLE IF NOT EXISTS \`${tableName}\` (
-                    ${columns.join(', ')},
-                    \`synced_at\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
-                
-                await db.query(createTableSql);
+                const allSucceeded = dataSourceResults.every(r => r.success);
+
+                // 更新最后同步时间；只有全部数据源都同步且成功时才推进增量水位线，避免漏掉其他数据源的修改
+                if (allSucceeded && !options.dataSourceId) {
+                    await db.query(
+                        'UPDATE notion_sync_targets SET last_sync_at = NOW(), last_edited_watermark = ? WHERE id = ?',
+                        [highWaterMark, target.id]
+                    );
+                } else {
+                    await db.query('UPDATE notion_sync_targets SET last_sync_at = NOW() WHERE id = ?', [target.id]);
+                }
+
+                report({ databaseId, type: 'done', success: allSucceeded });
+                results.push({
+                    databaseId,
+                    success: allSucceeded,
+                    mode: watermark ? 'incremental' : 'full',
+                    count: dataSourceResults.reduce((sum, r) => sum + (r.count || 0), 0),
+                    removed: dataSourceResults.reduce((sum, r) => sum + (r.removed || 0), 0),
+                    dataSources: dataSourceResults
+                });
+
+            } catch (error) {
+                if (error.code === 'SYNC_CANCELLED') throw error;
+                console.error(`Sync failed for database ${target.database_id}:`, error);
+                report({ databaseId: target.database_id, type: 'error', error: error.message });
+                report({ databaseId: target.database_id, type: 'done', success: false });
+                results.push({ databaseId: target.database_id, success: false, error: error.message });
+            }
+        }
+
+        return { success: true, results };
+    }
+
+    /**
+     * 同步单个数据源到其对应的 MySQL 表
+     * @param {NotionClient} notion
+     * @param {number} userId
+     * @param {Object} target notion_sync_targets 记录
+     * @param {Object} dataSource 数据库信息中的数据源 { id, name }
+     * @param {Object} options
+     * @param {string|null} options.watermark 增量水位线，为空时执行全量同步
+     * @param {Array|string} options.dbTitle 数据库标题，数据源无标题时使用
+     * @param {string} options.timeZone 日期字段换算到的时区 (用户配置 timezone)
+     * @param {number} options.jobId 同步任务 ID，记录到变更历史中
+     * @param {Function} options.onProgress 进度回调
+     * @param {Function} options.shouldCancel 取消检查
+     * @returns {Object} { dataSourceId, name, tableName, count, removed, shadow, highWaterMark }
+     */
+    static async syncDataSource(notion, userId, target, dataSource, options = {}) {
+        const { dbTitle = null, timeZone = null } = options;
+        let watermark = options.watermark || null;
+        const databaseId = target.database_id;
+        const dataSourceId = dataSource.id;
+        let highWaterMark = null;
+
+        // 第二步 & 第三步：获取数据源列结构，创建/更新 MySQL 表
+        const { tableName, mapping, companions, relations, resync } = await SyncEngine.prepareDataSourceTable(notion, target, dataSource, dbTitle);
+        if (resync && watermark) {
+            // 新增或清空了字段，未修改的记录也需要重新拉取
+            console.log(`[Sync] Schema of ${tableName} changed, running a full pass for data source ${dataSourceId}`);
+            watermark = null;
+        }
+        let historyContext = await SyncEngine.prepareHistory(target, tableName, options.jobId);
+
+        // 启用影子表同步时，全量同步写入 <表名>__shadow，校验行数后整表替换，失败时正式表保持不变
+        const shadow = !watermark && target.shadow_sync === 1;
+        const withRelations = relations.length > 0;
+        let writeTable = tableName;
+        if (shadow) {
+            writeTable = await schema.createShadowTable(tableName, { relations: withRelations, history: !!historyContext });
+            if (historyContext) {
+                historyContext = { ...historyContext, baseTable: tableName, historyTable: schema.historyTableName(writeTable) };
+            }
+            console.log(`[Sync] Writing full sync of data source ${dataSourceId} into shadow table ${writeTable}`);
+        }
+
+        // 同步目标配置的查询条件与排序，只同步满足条件的记录
+        const query = queryFilter.fromTarget(target);
+
+        // 第四步 & 第五步：循环获取并存储数据（处理分页）
+        let hasMore = true;
+        let nextCursor = null;
+        let successCount = 0;
+        let removedCount = 0;
+        // 本轮出现过的记录，用于全量同步后识别已在 Notion 删除的行
+        const seenIds = new Set();
+        // Notion 中已归档 / 移入回收站的记录
+        const archivedIds = [];
 
-                // 第四步 & 第五步：循环获取并存储数据（处理分页）
-                let hasMore = true;
-                let nextCursor = null;
-                let successCount = 0;
+        try {
+            while (hasMore) {
+                await SyncEngine.throwIfCancelled(options);
+
+                const queryBody = { page_size: 100 }; // 默认每页 100 条
+                const filter = queryFilter.combine(watermark ? SyncEngine.editedSinceFilter(watermark) : null, query.filter);
+                if (filter) {
+                    queryBody.filter = filter;
+                }
+                if (query.sorts) {
+                    queryBody.sorts = query.sorts;
+                }
+                if (nextCursor) {
+                    queryBody.start_cursor = nextCursor;
+                }
 
-                while (hasMore) {
-                    const queryBody = { page_size: 100 }; // 默认每页 100 条
-                    if (nextCursor) {
-                        queryBody.start_cursor = nextCursor;
+                const dataResponse = await notion.queryDataSource(dataSourceId, queryBody);
+                const records = dataResponse.results;
+
+                const rows = [];
+                const links = [];
+                for (const record of records) {
+                    const notionId = record.id;
+
+                    if (record.archived || record.in_trash) {
+                        archivedIds.push(notionId);
+                        continue;
                     }
+                    seenIds.add(notionId);
 
-                    const dataResponse = await notion.queryDataSource(dataSourceId, queryBody);
-                    const records = dataResponse.results;
-
-                    for (const record of records) {
-                        const notionId = record.id;
-                        const propValues = record.properties;
-                        
-                        const insertData = { notion_id: notionId };
-                        for (const [name, prop] of Object.entries(propValues)) {
-                            const mysqlColumnName = mapping[name];
-                            if (mysqlColumnName) {
-                                insertData[mysqlColumnName] = SyncEngine.extractValue(prop);
-                            }
-                        }
+                    const row = SyncEngine.recordToRow(record, mapping, companions, { timeZone });
+                    links.push(...await SyncEngine.collectRelations(notion, record, row, relations));
+                    rows.push(row);
 
-                        const keys = Object.keys(insertData);
-                        const placeholders = keys.map(() => '?').join(', ');
-                        const updates = keys.filter(k => k !== 'notion_id').map(k => `\`${k}\` = VALUES(\`${k}\`)`).join(', ');
-                        
-                        const syncSql = `INSERT INTO \`${tableName}\` (${keys.map(k => `\`${k}\``).join(', ')}) 
-                                         VALUES (${placeholders}) 
-                                         ON DUPLICATE KEY UPDATE ${updates}`;
-                        
-                        await db.query(syncSql, Object.values(insertData));
-                        successCount++;
+                    // Notion 返回的 ISO 时间格式一致，可直接按字符串比较
+                    if (record.last_edited_time && (!highWaterMark || record.last_edited_time > highWaterMark)) {
+                        highWaterMark = record.last_edited_time;
                     }
+                }
 
-                    hasMore = dataResponse.has_more;
-                    nextCursor = dataResponse.next_cursor;
-                    
-                    if (hasMore) {
-                        console.log(`[Sync] Database ${databaseId} has more data, fetching next page...`);
+                // 每页结果在一个事务中批量写入，中途失败不会留下半页数据
+                if (rows.length > 0) {
+                    await SyncEngine.saveRows(writeTable, rows, withRelations ? links : null, historyContext);
+                    successCount += rows.length;
+                }
+
+                hasMore = dataResponse.has_more;
+                nextCursor = dataResponse.next_cursor;
+
+                if (options.onProgress) {
+                    options.onProgress({ databaseId, dataSourceId, type: 'page', rows: records.length });
+                }
+
+                if (hasMore) {
+                    console.log(`[Sync] Data source ${dataSourceId} of database ${databaseId} has more data, fetching next page...`);
+                }
+            }
+
+            // 处理删除：归档记录在任何模式下都会被移除；未出现的记录只有全量同步时才能判定为已删除
+            const deletionMode = target.deletion_mode === 'hard' ? 'hard' : 'soft';
+            if (shadow) {
+                removedCount = await SyncEngine.finishShadowSync(tableName, {
+                    seenIds,
+                    archivedIds,
+                    deletionMode,
+                    withRelations,
+                    historyContext
+                });
+            } else {
+                let removedIds = archivedIds;
+                if (watermark && query.filter) {
+                    // 修改后不再满足查询条件的记录不会出现在上面的结果中，按水位线另查一次，未出现在结果中的视为移出条件
+                    const edited = await SyncEngine.queryEditedSince(notion, dataSourceId, watermark, options);
+                    removedIds = removedIds.concat(edited.map(record => record.id).filter(id => !seenIds.has(id)));
+                    for (const record of edited) {
+                        if (!highWaterMark || record.last_edited_time > highWaterMark) {
+                            highWaterMark = record.last_edited_time;
+                        }
                     }
                 }
+                if (!watermark) {
+                    const existing = await db.query(
+                        `SELECT notion_id FROM \`${tableName}\` WHERE is_deleted = 0`
+                    );
+                    const missingIds = existing.map(row => row.notion_id).filter(id => !seenIds.has(id));
+                    removedIds = removedIds.concat(missingIds);
+                }
+                removedCount = await SyncEngine.removeRows(tableName, removedIds, deletionMode, historyContext);
+            }
+        } catch (error) {
+            if (shadow) {
+                await schema.dropShadowTable(tableName).catch(err => console.error(`[Sync] Failed to drop shadow table of ${tableName}:`, err.message));
+            }
+            throw error;
+        }
+
+        if (options.onProgress && removedCount > 0) {
+            options.onProgress({ databaseId, dataSourceId, type: 'removed', rows: removedCount });
+        }
+
+        return {
+            dataSourceId,
+            name: dataSource.name,
+            tableName,
+            count: successCount,
+            removed: removedCount,
+            shadow,
+            highWaterMark
+        };
+    }
+
+    /**
+     * last_edited_time 不早于水位线的查询条件
+     */
+    static editedSinceFilter(since) {
+        return { timestamp: 'last_edited_time', last_edited_time: { on_or_after: since } };
+    }
+
+    /**
+     * 按水位线查询数据源中被修改过的全部记录 (不带同步目标的查询条件)
+     * @returns {Object[]} [{ id, last_edited_time }]
+     */
+    static async queryEditedSince(notion, dataSourceId, since, options = {}) {
+        const records = [];
+        let cursor = null;
+        do {
+            await SyncEngine.throwIfCancelled(options);
+            const body = { page_size: 100, filter: SyncEngine.editedSinceFilter(since) };
+            if (cursor) body.start_cursor = cursor;
+            const response = await notion.queryDataSource(dataSourceId, body);
+            response.results.forEach(record => records.push({ id: record.id, last_edited_time: record.last_edited_time }));
+            cursor = response.has_more ? response.next_cursor : null;
+        } while (cursor);
+        return records;
+    }
+
+    /**
+     * 页面是否满足同步目标的查询条件
+     * Notion 无法按页面 ID 查询，这里查询条件与 "修改时间不早于该页面" 同时满足的记录，再从中查找该页面
+     */
+    static async matchesQueryFilter(notion, dataSourceId, filter, page) {
+        let cursor = null;
+        do {
+            const body = { page_size: 100, filter: queryFilter.combine(SyncEngine.editedSinceFilter(page.last_edited_time), filter) };
+            if (cursor) body.start_cursor = cursor;
+            const response = await notion.queryDataSource(dataSourceId, body);
+            if (response.results.some(record => record.id === page.id)) return true;
+            cursor = response.has_more ? response.next_cursor : null;
+        } while (cursor);
+        return false;
+    }
+
+    /**
+     * 完成影子表同步：处理删除、校验行数，然后替换正式表
+     * @param {string} tableName 正式表名
+     * @param {Object} state
+     * @param {Set} state.seenIds 本轮从 Notion 拉取到的未归档记录
+     * @param {string[]} state.archivedIds 已归档的记录
+     * @param {string} state.deletionMode soft | hard
+     * @param {boolean} state.withRelations 是否同时替换链接表
+     * @param {Object|null} state.historyContext 影子表同步的历史上下文
+     * @returns {number} 移除的行数
+     */
+    static async finishShadowSync(tableName, state) {
+        const { seenIds, archivedIds, deletionMode, withRelations, historyContext } = state;
+        const shadow = schema.shadowTableName(tableName);
+
+        const existing = await db.query(`SELECT notion_id FROM \`${tableName}\` WHERE is_deleted = 0`);
+        const removedIds = archivedIds.concat(existing.map(row => row.notion_id).filter(id => !seenIds.has(id)));
+
+        let removedCount;
+        if (deletionMode === 'soft') {
+            // 软删除需保留已删除的记录：把影子表中没有的行 (含之前已标记删除的) 复制过来再标记删除
+            await db.query(`INSERT IGNORE INTO \`${shadow}\` SELECT * FROM \`${tableName}\``);
+            removedCount = await SyncEngine.removeRows(shadow, removedIds, 'soft', historyContext);
+            if (withRelations) {
+                const linkColumns = '`source_id`, `property_id`, `property_name`, `related_id`, `position`';
+                await db.query(`
+                    INSERT IGNORE INTO \`${schema.relationTableName(shadow)}\` (${linkColumns})
+                    SELECT ${linkColumns.split(', ').map(c => `r.${c}`).join(', ')}
+                    FROM \`${schema.relationTableName(tableName)}\` r
+                    JOIN \`${shadow}\` s ON s.notion_id = r.source_id AND s.is_deleted = 1
+                `);
+            }
+        } else {
+            // 物理删除：影子表中没有的行在替换后即不存在
+            if (historyContext) {
+                await db.transaction(tx => history.recordRemovals(tx, tableName, removedIds, 'hard', historyContext));
+            }
+            const missing = await db.query(
+                `SELECT COUNT(*) AS total FROM \`${tableName}\` t WHERE NOT EXISTS (SELECT 1 FROM \`${shadow}\` s WHERE s.notion_id = t.notion_id)`
+            );
+            removedCount = Number(missing[0].total || 0);
+        }
+
+        // 校验：影子表中的有效行数应与 Notion 返回的记录数一致
+        const counted = await db.query(`SELECT COUNT(*) AS total FROM \`${shadow}\` WHERE is_deleted = 0`);
+        const total = Number(counted[0].total || 0);
+        if (total !== seenIds.size) {
+            const error = new Error(`Shadow table ${shadow} has ${total} rows but Notion returned ${seenIds.size}, keeping the current table`);
+            error.code = 'SHADOW_VALIDATION_FAILED';
+            throw error;
+        }
+
+        // 历史记录在 RENAME 之前并入：替换后再失败会留下无人清理的影子历史表，本次变更记录随之丢失
+        const historyTable = schema.historyTableName(tableName);
+        const movedSince = historyContext ? await history.moveEntries(historyContext.historyTable, historyTable) : null;
+        try {
+            await schema.swapShadowTable(tableName, withRelations);
+        } catch (error) {
+            if (movedSince !== null) {
+                await history.revertMove(historyTable, movedSince, historyContext);
+            }
+            throw error;
+        }
+        // 此时只剩影子历史表，删除失败时下次创建影子表会一并清理
+        await schema.dropShadowTable(tableName).catch(err => console.error(`[Sync] Failed to drop shadow history of ${tableName}:`, err.message));
+        console.log(`[Sync] Swapped shadow table into ${tableName} (${total} rows), previous data kept in ${schema.previousTableName(tableName)}`);
+        return removedCount;
+    }
+
+    /**
+     * 获取数据源列结构并创建 / 更新对应的 MySQL 表
+     * 建表或按 Notion 最新结构增量调整字段，同步过程中不删除字段
+     * @param {NotionClient} notion
+     * @param {Object} target notion_sync_targets 记录
+     * @param {Object} dataSource { id, name }
+     * @param {Array|string} dbTitle 数据源无标题时使用的数据库标题
+     * @returns {Object} { tableName, mapping, companions, relations, resync }
+     *   relations 为关联属性的字段定义，resync 表示表结构变化后需要全量拉取
+     */
+    static async prepareDataSourceTable(notion, target, dataSource, dbTitle = null) {
+        const structure = await notion.getDataSourceStructure(dataSource.id);
+        const dsTitle = structure.title || dataSource.name || dbTitle || 'notion_data';
+
+        // 表名登记在 notion_data_sources 中，标题变化时重命名已有的表
+        const tableName = await tables.register(target.user_id, target.database_id, dataSource, dsTitle);
+        const overrides = await fieldOverrides.load(target.id, dataSource.id);
+        const mapped = await SyncEngine.mapDataSource(notion, tableName, dataSource.id, structure.properties, overrides);
+        const plan = await schema.migrate(tableName, mapped, { allowDrop: false });
+
+        // 关联属性另存到链接表，便于在 SQL 中 JOIN
+        const relations = mapped.definitions.filter(def => def.notionType === 'relation');
+        if (relations.length > 0) {
+            await schema.ensureRelationTable(tableName);
+        }
+
+        return {
+            tableName,
+            mapping: mapped.mapping,
+            companions: mapped.companions,
+            relations,
+            resync: schema.requiresResync(plan)
+        };
+    }
+
+    /**
+     * 生成数据源的字段映射 (含公式结果类型推断)
+     * @param {NotionClient} notion
+     * @param {string} tableName
+     * @param {string} dataSourceId
+     * @param {Object} properties 数据源结构中的 properties
+     * @param {Object} overrides 同步目标的字段映射覆盖 (fieldOverrides.load 的返回值)
+     * @returns {Object} mapNotionToMysql 的返回值
+     */
+    static async mapDataSource(notion, tableName, dataSourceId, properties, overrides = {}) {
+        const formulaTypes = await SyncEngine.inferFormulaTypes(notion, tableName, dataSourceId, properties);
+        return notion.mapNotionToMysql(properties, { formulaTypes, overrides });
+    }
+
+    /**
+     * 推断公式属性的结果类型
+     * 数据源结构中不包含公式结果类型，从前若干条记录中取第一个非空结果；
+     * 样本中没有值时沿用现有字段的类型，避免字段类型来回变化
+     * @returns {Object} { 属性名: number|string|boolean|date }
+     */
+    static async inferFormulaTypes(notion, tableName, dataSourceId, properties) {
+        const formulaNames = Object.keys(properties).filter(name => properties[name].type === 'formula');
+        if (formulaNames.length === 0) return {};
+
+        const types = {};
+        const sample = await notion.queryDataSource(dataSourceId, { page_size: SyncEngine.FORMULA_SAMPLE_SIZE });
+        for (const record of sample.results || []) {
+            for (const name of formulaNames) {
+                const result = record.properties && record.properties[name] && record.properties[name].formula;
+                if (!types[name] && result && result[result.type] !== null && result[result.type] !== undefined) {
+                    types[name] = result.type;
+                }
+            }
+        }
+
+        const missing = formulaNames.filter(name => !types[name]);
+        if (missing.length > 0 && await schema.tableExists(tableName)) {
+            const existing = await db.query(`SHOW FULL COLUMNS FROM \`${tableName}\``);
+            for (const name of missing) {
+                const column = existing.find(col => col.Comment === NotionClient.columnComment(properties[name].id));
+                if (!column) continue;
+                const type = Object.keys(NotionClient.VALUE_TYPES)
+                    .find(key => schema.normalizeType(NotionClient.VALUE_TYPES[key]) === schema.normalizeType(column.Type));
+                if (type) types[name] = type;
+            }
+        }
+        return types;
+    }
 
-                // 更新最后同步时间
-                await db.query('UPDATE notion_sync_targets SET last_sync_at = NOW() WHERE id = ?', [target.id]);
+    /**
+     * 同步数据库中的单个页面 (行)，用于 Webhook 等只需刷新一条记录的场景
+     * 页面已删除、归档或无法访问时按数据库的 deletion_mode 移除本地行
+     * @param {number} userId
+     * @param {string} databaseId
+     * @param {string} pageId
+     * @param {Object} options
+     * @param {string} options.dataSourceId 页面所属数据源，为空时从页面的 parent 中获取
+     * @param {number} options.jobId 同步任务 ID，记录到变更历史中
+     * @param {Function} options.onProgress 进度回调
+     */
+    static async syncPage(userId, databaseId, pageId, options = {}) {
+        const report = (event) => {
+            if (options.onProgress) options.onProgress(event);
+        };
 
-                results.push({ databaseId, success: true, count: successCount });
+        const { notion, target, timeZone } = await SyncEngine.getTargetClient(userId, databaseId);
+        report({ databaseId, type: 'start' });
 
+        try {
+            let page = null;
+            try {
+                page = await notion.getPage(pageId);
             } catch (error) {
-                console.error(`Sync failed for database ${target.database_id}:`, error);
-                results.push({ databaseId: target.database_id, success: false, error: error.message });
+                if (!error.response || error.response.status !== 404) throw error;
+            }
+
+            // 确定页面所属的数据源；页面已无法访问且未指定数据源时，在该数据库的全部数据源中查找
+            const dataSourceId = options.dataSourceId || (page && page.parent && page.parent.data_source_id);
+            const dataSources = dataSourceId
+                ? [{ id: dataSourceId, name: null }]
+                : (await db.query('SELECT data_source_id AS id, name FROM notion_data_sources WHERE user_id = ? AND database_id = ?', [userId, databaseId]));
+
+            const removing = !page || page.archived || page.in_trash;
+            const query = queryFilter.fromTarget(target);
+            let count = 0;
+            let removed = 0;
+            const dataSourceResults = [];
+
+            for (const ds of dataSources) {
+                const { tableName, mapping, companions, relations } = await SyncEngine.prepareDataSourceTable(notion, target, ds);
+                const historyContext = await SyncEngine.prepareHistory(target, tableName, options.jobId);
+                // 不再满足同步目标查询条件的页面与已删除的页面同样处理
+                const outsideFilter = !removing && query.filter && !(await SyncEngine.matchesQueryFilter(notion, ds.id, query.filter, page));
+                if (removing || outsideFilter) {
+                    const dsRemoved = await SyncEngine.removeRows(tableName, [pageId], target.deletion_mode === 'hard' ? 'hard' : 'soft', historyContext);
+                    removed += dsRemoved;
+                    dataSourceResults.push({ dataSourceId: ds.id, tableName, success: true, count: 0, removed: dsRemoved });
+                } else {
+                    const row = SyncEngine.recordToRow(page, mapping, companions, { timeZone });
+                    const links = await SyncEngine.collectRelations(notion, page, row, relations);
+                    await SyncEngine.saveRows(tableName, [row], relations.length > 0 ? links : null, historyContext);
+                    count++;
+                    dataSourceResults.push({ dataSourceId: ds.id, tableName, success: true, count: 1, removed: 0 });
+                }
             }
+
+            report({ databaseId, type: count > 0 ? 'page' : 'removed', rows: count > 0 ? count : removed });
+            report({ databaseId, type: 'done', success: true });
+            return {
+                success: true,
+                results: [{ databaseId, pageId, success: true, mode: 'page', count, removed, dataSources: dataSourceResults }]
+            };
+        } catch (error) {
+            console.error(`Sync failed for page ${pageId} of database ${databaseId}:`, error);
+            report({ databaseId, type: 'error', error: error.message });
+            report({ databaseId, type: 'done', success: false });
+            return { success: true, results: [{ databaseId, pageId, success: false, error: error.message }] };
         }
+    }
 
-        return { success: true, results };
+    /**
+     * 预演同步：按与 run 相同的条件拉取 Notion 数据，与现有表内容比较后返回变更报告，不写入 MySQL
+     * @param {number} userId
+     * @param {string} databaseId
+     * @param {Object} options
+     * @param {boolean} options.fullSync 是否忽略增量水位线
+     * @param {string} options.dataSourceId 只预演指定数据源
+     * @param {number} options.sampleSize 每类变更返回的示例条数
+     * @returns {Object} { databaseId, mode, dataSources: [dryRunDataSource 的结果] }
+     */
+    static async dryRun(userId, databaseId, options = {}) {
+        const { fullSync = false, sampleSize = SyncEngine.DRY_RUN_SAMPLE_SIZE } = options;
+        const { notion, target, timeZone } = await SyncEngine.getTargetClient(userId, databaseId, { includeDisabled: true });
+
+        const dbInfo = await notion.getDatabase(databaseId);
+        const dataSources = (dbInfo.data_sources || []).filter(ds => !options.dataSourceId || ds.id === options.dataSourceId);
+        if (dataSources.length === 0) {
+            throw new Error(options.dataSourceId
+                ? `Data source ${options.dataSourceId} not found in database ${databaseId}`
+                : `No data_sources found for database ${databaseId}`);
+        }
+
+        const watermark = fullSync ? null : target.last_edited_watermark;
+        const results = [];
+        for (const ds of dataSources) {
+            results.push(await SyncEngine.dryRunDataSource(notion, target, ds, { watermark, dbTitle: dbInfo.title, timeZone, sampleSize }));
+        }
+        return { databaseId, mode: watermark ? 'incremental' : 'full', dataSources: results };
+    }
+
+    /**
+     * 预演单个数据源的同步
+     * @param {NotionClient} notion
+     * @param {Object} target notion_sync_targets 记录
+     * @param {Object} dataSource { id, name }
+     * @param {Object} options { watermark, dbTitle, timeZone, sampleSize }
+     * @returns {Object} { dataSourceId, tableName, mode, schema, properties, rows }
+     *   schema 为表结构迁移计划 (不执行)，properties 为被排除 (dropped) 与转为文本保存 (stringified) 的属性，
+     *   rows 为 insert / update / delete 的条数与示例
+     */
+    static async dryRunDataSource(notion, target, dataSource, options = {}) {
+        const { timeZone = null, sampleSize = SyncEngine.DRY_RUN_SAMPLE_SIZE } = options;
+        const structure = await notion.getDataSourceStructure(dataSource.id);
+        const properties = structure.properties || {};
+        const dsTitle = structure.title || dataSource.name || options.dbTitle || 'notion_data';
+
+        const tableName = await tables.register(target.user_id, target.database_id, dataSource, dsTitle, { preview: true });
+        const overrides = await fieldOverrides.load(target.id, dataSource.id);
+        const mapped = await SyncEngine.mapDataSource(notion, tableName, dataSource.id, properties, overrides);
+        const plan = await schema.planMigration(tableName, mapped, { allowDrop: false });
+        const watermark = schema.requiresResync(plan) ? null : (options.watermark || null);
+        const relations = mapped.definitions.filter(def => def.notionType === 'relation');
+
+        // 迁移后字段会改名，比较时把现有行的旧字段名换成新字段名
+        const renamed = new Map(plan.changes.filter(change => change.action === 'rename').map(change => [change.from, change.column]));
+        const loadExisting = async (ids) => {
+            const existing = new Map();
+            if (plan.created || ids.length === 0) return existing;
+            const rows = await db.query(`SELECT * FROM \`${tableName}\` WHERE notion_id IN (${ids.map(() => '?').join(', ')})`, ids);
+            for (const row of rows) {
+                const current = {};
+                for (const [column, value] of Object.entries(row)) current[renamed.get(column) || column] = value;
+                existing.set(row.notion_id, current);
+            }
+            return existing;
+        };
+
+        const query = queryFilter.fromTarget(target);
+        const report = {
+            insert: { count: 0, sample: [] },
+            update: { count: 0, sample: [] },
+            unchanged: 0,
+            delete: { count: 0, mode: target.deletion_mode === 'hard' ? 'hard' : 'soft', sample: [] }
+        };
+        const seenIds = new Set();
+        let removedIds = [];
+        let cursor = null;
+
+        do {
+            const body = { page_size: 100 };
+            const filter = queryFilter.combine(watermark ? SyncEngine.editedSinceFilter(watermark) : null, query.filter);
+            if (filter) body.filter = filter;
+            if (query.sorts) body.sorts = query.sorts;
+            if (cursor) body.start_cursor = cursor;
+
+            const response = await notion.queryDataSource(dataSource.id, body);
+            const records = response.results.filter(record => {
+                if (record.archived || record.in_trash) {
+                    removedIds.push(record.id);
+                    return false;
+                }
+                return true;
+            });
+            const existing = await loadExisting(records.map(record => record.id));
+
+            for (const record of records) {
+                seenIds.add(record.id);
+                const row = SyncEngine.recordToRow(record, mapped.mapping, mapped.companions, { timeZone });
+                await SyncEngine.collectRelations(notion, record, row, relations);
+
+                const current = existing.get(record.id);
+                if (!current) {
+                    report.insert.count++;
+                    if (report.insert.sample.length < sampleSize) report.insert.sample.push(record.id);
+                    continue;
+                }
+                const diff = history.diffRow(current, row);
+                if (!diff) {
+                    report.unchanged++;
+                    continue;
+                }
+                report.update.count++;
+                if (report.update.sample.length < sampleSize) {
+                    report.update.sample.push({
+                        notionId: record.id,
+                        changes: Object.keys(diff.after).map(column => ({ column, before: diff.before[column], after: diff.after[column] }))
+                    });
+                }
+            }
+            cursor = response.has_more ? response.next_cursor : null;
+        } while (cursor);
+
+        // 与 syncDataSource 相同的删除判定
+        if (!plan.created) {
+            if (!watermark) {
+                const existing = await db.query(`SELECT notion_id FROM \`${tableName}\` WHERE is_deleted = 0`);
+                removedIds = removedIds.concat(existing.map(row => row.notion_id).filter(id => !seenIds.has(id)));
+            } else if (query.filter) {
+                const edited = await SyncEngine.queryEditedSince(notion, dataSource.id, watermark);
+                removedIds = removedIds.concat(edited.map(record => record.id).filter(id => !seenIds.has(id)));
+            }
+            // 只统计表中存在 (软删除时为未标记删除) 的行
+            const candidates = [...new Set(removedIds)];
+            for (let i = 0; i < candidates.length; i += 500) {
+                const chunk = candidates.slice(i, i + 500);
+                const rows = await db.query(
+                    `SELECT notion_id FROM \`${tableName}\` WHERE notion_id IN (${chunk.map(() => '?').join(', ')})${report.delete.mode === 'soft' ? ' AND is_deleted = 0' : ''}`,
+                    chunk
+                );
+                report.delete.count += rows.length;
+                rows.slice(0, sampleSize - report.delete.sample.length).forEach(row => report.delete.sample.push(row.notion_id));
+            }
+        }
+
+        return {
+            dataSourceId: dataSource.id,
+            name: dataSource.name,
+            tableName,
+            mode: watermark ? 'incremental' : 'full',
+            schema: { created: plan.created, changes: plan.changes, statements: plan.statements },
+            properties: SyncEngine.describeLossyProperties(properties, mapped),
+            rows: report
+        };
+    }
+
+    /**
+     * 列出同步时不会保存 (dropped) 或结构化值被转为文本保存 (stringified) 的属性
+     * @param {Object} properties 数据源结构中的 properties
+     * @param {Object} mapped mapNotionToMysql 的返回值
+     * @returns {Object} { dropped: [{ property, propertyId, type, reason }], stringified: [{ property, propertyId, type, column, reason }] }
+     */
+    static describeLossyProperties(properties, mapped) {
+        const dropped = [];
+        const stringified = [];
+        const excluded = new Set(mapped.excluded || []);
+
+        for (const [name, prop] of Object.entries(properties)) {
+            const entry = { property: name, propertyId: prop.id, type: prop.type };
+            if (excluded.has(prop.id)) {
+                dropped.push({ ...entry, reason: '字段映射覆盖中已排除' });
+                continue;
+            }
+
+            let reason = SyncEngine.FLATTENED_TYPES[prop.type] || null;
+            if (prop.type === 'rollup' && !NotionClient.rollupValueType(prop.rollup)) {
+                reason = '汇总列表以 ", " 拼接';
+            } else if (!SyncEngine.EXTRACTED_TYPES.includes(prop.type)) {
+                reason = '不支持的属性类型，按 JSON 字符串保存';
+            }
+            if (reason) stringified.push({ ...entry, column: mapped.mapping[name], reason });
+        }
+        return { dropped, stringified };
+    }
+
+    /**
+     * 同步目标启用了变更历史时确保历史表存在，并返回写入时使用的上下文
+     * @param {Object} target notion_sync_targets 记录
+     * @param {string} tableName
+     * @param {number} jobId 同步任务 ID
+     * @returns {Object|null} { jobId, source }，未启用时为 null
+     */
+    static async prepareHistory(target, tableName, jobId = null) {
+        if (!target.history_enabled) return null;
+        await schema.ensureHistoryTable(tableName);
+        return { jobId: jobId || null, source: 'sync' };
+    }
+
+    /**
+     * 获取启用中的同步目标及对应用户的 Notion 客户端
+     * @param {Object} options
+     * @param {boolean} options.includeDisabled 为 true 时也返回已停用的同步目标 (预演同步)
+     * @returns {Object} { notion, target, timeZone }
+     */
+    static async getTargetClient(userId, databaseId, options = {}) {
+        const hasPermission = await Auth.checkPermission(userId, 'sync:notion');
+        if (!hasPermission) {
+            throw new Error('Permission denied: User does not have sync:notion permission');
+        }
+
+        const configs = await db.getAllConfigs(userId);
+        if (!configs.notion_api_key) {
+            throw new Error('Notion API key not configured for this user');
+        }
+
+        const targets = await db.query(
+            `SELECT * FROM notion_sync_targets WHERE user_id = ? AND database_id = ?${options.includeDisabled ? '' : ' AND status = 1'}`,
+            [userId, databaseId]
+        );
+        if (targets.length === 0) {
+            throw new Error(`Sync target ${databaseId} not found or disabled`);
+        }
+
+        return {
+            notion: new NotionClient(userId, configs.notion_api_key, configs.notion_version || '2025-09-03'),
+            target: targets[0],
+            timeZone: configs.timezone || null
+        };
+    }
+
+    /**
+     * 将 Notion 页面记录转换为同步表的一行
+     * 重新出现的记录需要清除删除标记
+     * @param {Object} record Notion 页面对象
+     * @param {Object} mapping Notion 属性名到 MySQL 字段名的映射
+     * @param {Object} companions 伴随字段 { 属性名: { 后缀: 字段名 } }
+     * @param {Object} options
+     * @param {string} options.timeZone 日期字段换算到的时区，为空时按 UTC
+     */
+    static recordToRow(record, mapping, companions = {}, options = {}) {
+        const row = {
+            notion_id: record.id,
+            is_deleted: 0,
+            deleted_at: null,
+            notion_edited_at: record.last_edited_time || null
+        };
+        for (const [name, prop] of Object.entries(record.properties || {})) {
+            const mysqlColumnName = mapping[name];
+            if (mysqlColumnName) {
+                row[mysqlColumnName] = SyncEngine.extractValue(prop, options);
+            }
+            if (companions[name]) {
+                const values = SyncEngine.extractCompanionValues(prop, options);
+                for (const [suffix, columnName] of Object.entries(companions[name])) {
+                    row[columnName] = values[suffix] === undefined ? null : values[suffix];
+                }
+            }
+        }
+        return row;
+    }
+
+    /**
+     * 读取记录中关联属性的全部链接，并用完整的关联列表更新行中的关联字段
+     * 页面对象中的关联最多返回 25 项，超出时单独分页获取
+     * @param {NotionClient} notion
+     * @param {Object} record Notion 页面对象
+     * @param {Object} row recordToRow 的结果
+     * @param {Object[]} relations 关联属性的字段定义
+     * @returns {Object[]} 链接表的行
+     */
+    static async collectRelations(notion, record, row, relations) {
+        const links = [];
+        for (const def of relations) {
+            const prop = record.properties && record.properties[def.propertyName];
+            if (!prop) continue;
+
+            let relatedIds = (prop.relation || []).map(item => item.id);
+            if (prop.has_more) {
+                const items = await notion.getPagePropertyItems(record.id, prop.id);
+                relatedIds = items.map(item => item.relation && item.relation.id).filter(Boolean);
+            }
+            relatedIds = [...new Set(relatedIds)];
+
+            row[def.name] = relatedIds.join(', ');
+            relatedIds.forEach((relatedId, position) => {
+                links.push({
+                    source_id: record.id,
+                    property_id: prop.id,
+                    property_name: def.propertyName,
+                    related_id: relatedId,
+                    position
+                });
+            });
+        }
+        return links;
+    }
+
+    /**
+     * 在一个事务中写入同步行，并替换这些行在链接表中的关联
+     * @param {string} tableName
+     * @param {Object[]} rows
+     * @param {Object[]|null} links 链接表的行，数据源没有关联属性时为 null
+     * @param {Object|null} historyContext 启用变更历史时为 { jobId, source }，写入前记录变化的字段
+     */
+    static async saveRows(tableName, rows, links = null, historyContext = null) {
+        const updateColumns = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(k => k !== 'notion_id');
+
+        await db.transaction(async (tx) => {
+            if (historyContext) {
+                await history.recordUpserts(tx, tableName, rows, historyContext);
+            }
+            await db.insertMany(tableName, rows, { updateColumns, executor: tx });
+            if (!links) return;
+
+            const relationTable = schema.relationTableName(tableName);
+            const sourceIds = rows.map(row => row.notion_id);
+            await tx.query(
+                `DELETE FROM \`${relationTable}\` WHERE source_id IN (${sourceIds.map(() => '?').join(', ')})`,
+                sourceIds
+            );
+            await db.insertMany(relationTable, links, { executor: tx });
+        });
+    }
+
+    /**
+     * 检查同步是否已被取消，已取消时抛出 code 为 SYNC_CANCELLED 的错误
+     * @param {Object} options run 的可选项
+     */
+    static async throwIfCancelled(options = {}) {
+        if (options.shouldCancel && await options.shouldCancel()) {
+            const error = new Error('Sync cancelled');
+            error.code = 'SYNC_CANCELLED';
+            throw error;
+        }
+    }
+
+    /**
+     * 移除已在 Notion 中删除或归档的记录
+     * @param {string} tableName
+     * @param {string[]} notionIds
+     * @param {string} mode hard: 物理删除; soft: 标记 is_deleted 并记录删除时间
+     * @param {Object|null} historyContext 启用变更历史时为 { jobId, source }
+     * @returns {number} 实际受影响的行数
+     */
+    static async removeRows(tableName, notionIds, mode = 'soft', historyContext = null) {
+        let removed = 0;
+        const chunkSize = 500;
+        // 物理删除时一并删除链接表中的关联
+        const relationTable = schema.relationTableName(tableName);
+        const hasRelations = mode === 'hard' && notionIds.length > 0 && await schema.tableExists(relationTable);
+
+        for (let i = 0; i < notionIds.length; i += chunkSize) {
+            const chunk = notionIds.slice(i, i + chunkSize);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const sql = mode === 'hard'
+                ? `DELETE FROM \`${tableName}\` WHERE notion_id IN (${placeholders})`
+                : `UPDATE \`${tableName}\` SET is_deleted = 1, deleted_at = NOW() WHERE notion_id IN (${placeholders}) AND is_deleted = 0`;
+            removed += await db.transaction(async (tx) => {
+                if (historyContext) {
+                    await history.recordRemovals(tx, tableName, chunk, mode, historyContext);
+                }
+                const result = await tx.query(sql, chunk);
+                if (hasRelations) {
+                    await tx.query(`DELETE FROM \`${relationTable}\` WHERE source_id IN (${placeholders})`, chunk);
+                }
+                return result.affectedRows;
+            });
+        }
+
+        return removed;
     }
 
     /**
      * 同步整个工作区所有页面的具体内容块
+     * 只同步 last_edited_time 晚于上次详情同步的页面，并按并发上限同时处理多个页面
+     * @param {number} userId
+     * @param {Object} options
+     * @param {boolean} options.force 为 true 时忽略上次同步时间，重新同步全部页面
+     * @param {number} options.concurrency 并发数，默认读取用户配置 detail_sync_concurrency
+     * @returns {Object|undefined} { total, synced, skipped, failed, failures }
      */
-    static async syncWorkspacePageDetails(userId) {
+    static async syncWorkspacePageDetails(userId, options = {}) {
         try {
             console.log(`[Sync] Starting background detail sync for user ${userId}...`);
             
@@ -171,40 +1017,128 @@ class SyncEngine {
                 return;
             }
 
+            await SyncEngine.ensureDetailsSyncedColumn(workspaceTableName);
+
             // 3. 确保详情表存在
-            const createTableSql = `
-                CREATE TABLE IF NOT EXISTS \`${detailTableName}\` (
-                    \`id\` INT AUTO_INCREMENT PRIMARY KEY,
-                    \`page_id\` VARCHAR(64) NOT NULL,
-                    \`block_id\` VARCHAR(64) NOT NULL,
-                    \`type\` VARCHAR(50),
-                    \`content\` JSON,
-                    \`parent_id\` VARCHAR(64),
-                    \`created_at\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    INDEX idx_page_id (\`page_id\`)
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-            `;
-            await db.query(createTableSql);
-
-            // 4. 获取所有页面 (忽略未命名的页面)
-            const pages = await db.query(`SELECT object_id FROM \`${workspaceTableName}\` WHERE type = 'page' AND title != '未命名页面'`);
-            console.log(`[Sync] Found ${pages.length} valid pages to sync details for user ${userId}.`);
-
-            for (const page of pages) {
+            await SyncEngine.ensureDetailTable(detailTableName);
+
+            // 4. 获取所有页面 (忽略未命名的页面)，未修改的页面跳过
+            const pages = await db.query(`SELECT object_id, last_edited_time, details_synced_at FROM \`${workspaceTableName}\` WHERE type = 'page' AND title != '未命名页面'`);
+            const changed = options.force
+                ? pages
+                : pages.filter(page => !page.details_synced_at || !page.last_edited_time || new Date(page.last_edited_time) > new Date(page.details_synced_at));
+            // 同一页面只同步一次，避免并发任务重复删除、写入同一页面的内容块
+            const pending = [...new Map(changed.map(page => [page.object_id, page])).values()];
+            const concurrency = SyncEngine.normalizeConcurrency(options.concurrency || configs.detail_sync_concurrency);
+
+            const summary = { total: pages.length, synced: 0, skipped: pages.length - pending.length, failed: 0, failures: [] };
+            console.log(`[Sync] Found ${pages.length} valid pages for user ${userId}, ${pending.length} changed, concurrency ${concurrency}.`);
+
+            await runWithConcurrency(pending, concurrency, async (page) => {
                 const pageId = page.object_id;
                 try {
                     console.log(`[Sync] Syncing details for page ${pageId}...`);
                     await SyncEngine.syncPageContent(userId, pageId, notion, detailTableName);
+                    // 记录本次同步对应的页面版本，下次仅在 last_edited_time 变化后重新同步
+                    await db.query(
+                        `UPDATE \`${workspaceTableName}\` SET details_synced_at = ? WHERE object_id = ?`,
+                        [page.last_edited_time, pageId]
+                    );
+                    summary.synced++;
                 } catch (pageErr) {
                     console.error(`[Sync] Failed to sync page ${pageId}:`, pageErr.message);
+                    summary.failed++;
+                    summary.failures.push({ pageId, error: pageErr.message });
                 }
-            }
-            console.log(`[Sync] Background detail sync completed for user ${userId}.`);
+            });
+
+            console.log(`[Sync] Background detail sync completed for user ${userId}: ${summary.synced} synced, ${summary.skipped} skipped, ${summary.failed} failed.`);
+            return summary;
         } catch (error) {
             console.error(`[Sync] Critical error in syncWorkspacePageDetails:`, error);
         }
     }
 
+    /**
+     * 同步工作区中单个页面的内容块 (Webhook 触发)
+     * 页面已删除或归档时清除其内容块
+     * @param {number} userId
+     * @param {string} pageId
+     */
+    static async syncWorkspacePage(userId, pageId) {
+        const configs = await db.getAllConfigs(userId);
+        if (!configs.notion_api_key) {
+            throw new Error('Notion API key not configured for this user');
+        }
+
+        const notion = new NotionClient(userId, configs.notion_api_key, configs.notion_version || '2025-09-03');
+        const workspaceTableName = `user_${userId}_workspace_objects`;
+        const detailTableName = `user_${userId}_workspace_details`;
+        await SyncEngine.ensureDetailTable(detailTableName);
+
+        let page = null;
+        try {
+            page = await notion.getPage(pageId);
+        } catch (error) {
+            if (!error.response || error.response.status !== 404) throw error;
+        }
+
+        if (!page || page.archived || page.in_trash) {
+            const result = await db.query(`DELETE FROM \`${detailTableName}\` WHERE page_id = ?`, [pageId]);
+            return { success: true, results: [{ pageId, success: true, mode: 'page_content', count: 0, removed: result.affectedRows }] };
+        }
+
+        const count = await SyncEngine.syncPageContent(userId, pageId, notion, detailTableName);
+        await SyncEngine.ensureDetailsSyncedColumn(workspaceTableName);
+        const lastEdited = new Date(page.last_edited_time);
+        await db.query(
+            `UPDATE \`${workspaceTableName}\` SET last_edited_time = ?, details_synced_at = ? WHERE object_id = ?`,
+            [lastEdited, lastEdited, page.id]
+        );
+
+        return { success: true, results: [{ pageId, success: true, mode: 'page_content', count, removed: 0 }] };
+    }
+
+    /**
+     * 旧的工作区表没有 details_synced_at 字段时补齐
+     */
+    static async ensureDetailsSyncedColumn(workspaceTableName) {
+        const columnCheck = await db.query(
+            "SELECT COUNT(*) as exists_count FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? AND column_name = 'details_synced_at'",
+            [workspaceTableName]
+        );
+        if (columnCheck[0].exists_count === 0) {
+            await db.query(`ALTER TABLE \`${workspaceTableName}\` ADD COLUMN \`details_synced_at\` DATETIME NULL AFTER \`last_edited_time\``);
+        }
+    }
+
+    /**
+     * 确保页面内容块表存在
+     */
+    static async ensureDetailTable(tableName) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS \`${tableName}\` (
+                \`id\` INT AUTO_INCREMENT PRIMARY KEY,
+                \`page_id\` VARCHAR(64) NOT NULL,
+                \`block_id\` VARCHAR(64) NOT NULL,
+                \`type\` VARCHAR(50),
+                \`content\` JSON,
+                \`parent_id\` VARCHAR(64),
+                \`created_at\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_page_id (\`page_id\`)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+        `);
+    }
+
+    /**
+     * 规范化页面详情同步的并发数
+     */
+    static normalizeConcurrency(value) {
+        const concurrency = parseInt(value);
+        if (isNaN(concurrency) || concurrency < 1) return SyncEngine.DEFAULT_DETAIL_CONCURRENCY;
+        return Math.min(concurrency, SyncEngine.MAX_DETAIL_CONCURRENCY);
+    }
+
     /**
      * 同步单个页面及其子页面的所有内容
      * @param {number} userId 
@@ -247,45 +1181,41 @@ class SyncEngine {
 
         const flatData = flattenBlocks(blocks, pageId, pageId);
 
-        // 3. 收集所有涉及到的 page_id，并清理旧数据
-        const touchedPageIds = new Set([pageId]);
-        flatData.forEach(item => touchedPageIds.add(item.page_id));
+        // 3. 收集所有涉及到的 page_id，在同一事务中清理旧数据并批量写入新数据，避免页面只剩部分内容块
+        // 父页面与子页面并发同步时会删除同一批 page_id，按固定顺序加锁，仍发生死锁时回滚重试
+        const touchedPageIds = [...new Set([pageId, ...flatData.map(item => item.page_id)])].sort();
 
-        for (const tid of touchedPageIds) {
-            await db.query(`DELETE FROM \`${tableName}\` WHERE page_id = ?`, [tid]);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await db.transaction(async (tx) => {
+                    await tx.query(
+                        `DELETE FROM \`${tableName}\` WHERE page_id IN (${touchedPageIds.map(() => '?').join(', ')})`,
+                        touchedPageIds
+                    );
+                    await db.insertMany(tableName, flatData, { executor: tx });
+                });
+                break;
+            } catch (error) {
+                if (error.code !== 'ER_LOCK_DEADLOCK' || attempt >= SyncEngine.DEADLOCK_RETRIES) throw error;
+                console.warn(`[Sync] Deadlock while saving blocks of page ${pageId}, retrying (${attempt}/${SyncEngine.DEADLOCK_RETRIES})`);
+            }
         }
 
-        // 4. 批量写入新数据
-        for (const item of flatData) {
-            await db.query(
-                `INSERT INTO \`${tableName}\` (page_id, block_id, type, content, parent_id) VALUES (?, ?, ?, ?, ?)`,
-                [item.page_id, item.block_id, item.type, item.content, item.parent_id]
-            );
-        }
-        
         return flatData.length;
     }
 
     /**
      * 从 Notion 属性中提取实际值
+     * @param {Object} prop Notion 属性值
+     * @param {Object} options
+     * @param {string} options.timeZone 日期时间换算到的时区，为空时按 UTC；全天日期不换算
      */
-    static extractValue(prop) {
+    static extractValue(prop, options = {}) {
         const type = prop.type;
         const value = prop[type];
 
         if (!value) return null;
 
-        const formatMysqlDate = (isoString) => {
-            if (!isoString) return null;
-            try {
-                const date = new Date(isoString);
-                if (isNaN(date.getTime())) return isoString;
-                return date.toISOString().slice(0, 19).replace('T', ' ');
-            } catch (e) {
-                return isoString;
-            }
-        };
-
         switch (type) {
             case 'title':
             case 'rich_text':
@@ -297,7 +1227,8 @@ class SyncEngine {
             case 'multi_select':
                 return value.map(s => s.name).join(', ');
             case 'date':
-                return formatMysqlDate(value.start);
+                // 范围的结束时间、时区与全天标记保存在伴随字段中
+                return formatMysqlDate(value.start, options.timeZone);
             case 'checkbox':
                 return value ? 1 : 0;
             case 'status':
@@ -308,14 +1239,104 @@ class SyncEngine {
                 return value;
             case 'created_time':
             case 'last_edited_time':
-                return formatMysqlDate(value);
+                return formatMysqlDate(value, options.timeZone);
             case 'created_by':
             case 'last_edited_by':
                 return value.name || value.id;
+            case 'relation':
+                // 完整的关联另存于 <表名>_relations 链接表
+                return value.map(r => r.id).join(', ');
+            case 'formula':
+                return SyncEngine.extractResult(value, options);
+            case 'rollup':
+                if (value.type === 'array') {
+                    return (value.array || [])
+                        .map(item => SyncEngine.extractValue(item, options))
+                        .filter(item => item !== null && item !== '')
+                        .join(', ');
+                }
+                return SyncEngine.extractResult(value, options);
+            case 'people':
+                return value.map(person => person.name || person.id).join(', ');
+            case 'files':
+                // 每行一个文件地址 (Notion 托管文件的地址带有效期)
+                return value.map(file => (file.type === 'external' ? file.external?.url : file.file?.url)).filter(Boolean).join('\n');
+            case 'unique_id':
+                if (value.number === null || value.number === undefined) return null;
+                return value.prefix ? `${value.prefix}-${value.number}` : String(value.number);
+            case 'verification':
+                return value.state || null;
             default:
                 return JSON.stringify(value);
         }
     }
+
+    /**
+     * 展开公式 / 汇总的结果值 ({ type, number | string | boolean | date })
+     */
+    static extractResult(result, options = {}) {
+        switch (result.type) {
+            case 'number':
+                return result.number;
+            case 'string':
+                return result.string;
+            case 'boolean':
+                return result.boolean === null || result.boolean === undefined ? null : (result.boolean ? 1 : 0);
+            case 'date':
+                return result.date ? formatMysqlDate(result.date.start, options.timeZone) : null;
+            default:
+                // incomplete / unsupported 等无法取值的结果
+                return null;
+        }
+    }
+
+    /**
+     * 提取伴随字段的值 { 后缀: 值 }
+     */
+    static extractCompanionValues(prop, options = {}) {
+        const value = prop[prop.type];
+        if (!value) return {};
+
+        switch (prop.type) {
+            case 'people':
+                return { ids: value.map(person => person.id).join(', ') };
+            case 'date':
+                return {
+                    end: formatMysqlDate(value.end, options.timeZone),
+                    tz: value.time_zone || null,
+                    all_day: timezone.isDateOnly(value.start) ? 1 : 0
+                };
+            default:
+                return {};
+        }
+    }
 }
 
+// 页面详情同步的默认并发数与上限 (实际请求频率仍受 NotionClient 限流约束)
+SyncEngine.DEFAULT_DETAIL_CONCURRENCY = 3;
+SyncEngine.MAX_DETAIL_CONCURRENCY = 10;
+// 页面内容块写入遇到 InnoDB 死锁时的最多尝试次数
+SyncEngine.DEADLOCK_RETRIES = 3;
+// 推断公式结果类型时抽样的记录数
+SyncEngine.FORMULA_SAMPLE_SIZE = 25;
+// 预演同步时每类变更返回的示例条数
+SyncEngine.DRY_RUN_SAMPLE_SIZE = 20;
+
+// extractValue 能够按类型提取的属性，其余类型按 JSON 字符串保存
+SyncEngine.EXTRACTED_TYPES = [
+    'title', 'rich_text', 'number', 'select', 'multi_select', 'date', 'checkbox', 'status',
+    'email', 'phone_number', 'url', 'created_time', 'last_edited_time', 'created_by', 'last_edited_by',
+    'relation', 'formula', 'rollup', 'people', 'files', 'unique_id', 'verification'
+];
+
+// 结构化值被拼接为文本保存的属性类型
+SyncEngine.FLATTENED_TYPES = {
+    multi_select: '多选值以 ", " 拼接',
+    people: '人员以名称拼接 (ID 保存在 _ids 伴随字段)',
+    relation: '关联页面 ID 以 ", " 拼接 (完整关联保存在 _relations 链接表)',
+    files: '文件地址按行拼接',
+    created_by: '只保存用户名称',
+    last_edited_by: '只保存用户名称'
+};
+
 module.exports = SyncEngine;
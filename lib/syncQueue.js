@@ -0,0 +1,368 @@
+const db = require('./db');
+const SyncEngine = require('./sync');
+
+/**
+ * 同步任务队列
+ * 任务持久化在 sync_jobs 表中，由当前进程内的 worker 按创建顺序逐个执行
+ */
+
+// 进度写库的最小间隔，避免每拉取一页都更新一次
+const PROGRESS_SAVE_INTERVAL = 1000;
+// 执行中的任务检查取消标记的最小间隔
+const CANCEL_CHECK_INTERVAL = 2000;
+
+let processing = false;
+// runExclusive 占用中的数据库 (userId:归一化的 databaseId)，worker 不会开始涉及这些数据库的任务
+const exclusive = new Set();
+
+const normalizeId = (id) => String(id || '').replace(/-/g, '').toLowerCase();
+const lockKey = (userId, databaseId) => `${userId}:${normalizeId(databaseId)}`;
+
+// 任务是否涉及占用中的数据库 (未指定数据库的任务涉及该用户的全部数据库)
+const isBlocked = (job) => (job.database_id
+    ? exclusive.has(lockKey(job.user_id, job.database_id))
+    : [...exclusive].some(key => key.startsWith(`${job.user_id}:`)));
+
+const parseJson = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+};
+
+/**
+ * 格式化任务记录 (JSON 字段反序列化)
+ */
+function formatJob(row) {
+    return {
+        ...row,
+        options: parseJson(row.options, {}),
+        progress: parseJson(row.progress, {}),
+        result: parseJson(row.result, null)
+    };
+}
+
+/**
+ * 初始化队列：上次进程退出时仍在执行的任务标记为失败，然后开始处理排队中的任务
+ */
+async function init() {
+    try {
+        const result = await db.query(
+            "UPDATE sync_jobs SET status = 'failed', error_message = 'Interrupted by server restart', finished_at = NOW() WHERE status = 'running'"
+        );
+        if (result.affectedRows > 0) {
+            console.warn(`[SyncQueue] Marked ${result.affectedRows} interrupted jobs as failed.`);
+        }
+        processQueue();
+    } catch (error) {
+        console.error('[SyncQueue] Initialization failed:', error);
+    }
+}
+
+/**
+ * 添加同步任务
+ * 已有参数相同且仍在排队的任务时直接返回该任务，避免重复同步
+ * @param {number} userId
+ * @param {Object} params
+ * @param {string|null} params.databaseId 指定数据库，为空时同步全部启用的数据库
+ * @param {boolean} params.fullSync 是否全量同步
+ * @param {string} params.dataSourceId 只同步数据库中的指定数据源
+ * @param {string} params.pageId 只同步单个页面；未指定 databaseId 时同步工作区页面的内容块
+ * @param {string} params.trigger 触发方式: manual, schedule, retry, webhook
+ * @param {number|null} params.retryOf 重试来源任务 ID
+ * @returns {Object} { jobId, existing }
+ */
+async function enqueue(userId, params = {}) {
+    const { databaseId = null, fullSync = false, dataSourceId = null, pageId = null, trigger = 'manual', retryOf = null } = params;
+    const options = { fullSync: !!fullSync };
+    if (dataSourceId) options.dataSourceId = dataSourceId;
+    if (pageId) options.pageId = pageId;
+
+    const queued = await db.query(
+        "SELECT id, options FROM sync_jobs WHERE user_id = ? AND status = 'queued' AND database_id <=> ? ORDER BY id ASC",
+        [userId, databaseId]
+    );
+    const sameOptions = (other) => ['fullSync', 'dataSourceId', 'pageId'].every(key => (other[key] || null) === (options[key] || null));
+    const duplicate = queued.find(job => sameOptions(parseJson(job.options, {})));
+    if (duplicate) {
+        return { jobId: duplicate.id, existing: true };
+    }
+
+    const result = await db.query(
+        'INSERT INTO sync_jobs (user_id, database_id, trigger_type, options, status, retry_of) VALUES (?, ?, ?, ?, ?, ?)',
+        [userId, databaseId, trigger, JSON.stringify(options), 'queued', retryOf]
+    );
+
+    processQueue();
+    return { jobId: result.insertId, existing: false };
+}
+
+/**
+ * 依次执行排队中的任务，同一进程内同时只运行一个 worker
+ */
+async function processQueue() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        while (true) {
+            const rows = await db.query("SELECT * FROM sync_jobs WHERE status = 'queued' ORDER BY id ASC");
+            // 查询返回后同步检查占用，runExclusive 释放时会重新调度被跳过的任务
+            const next = rows.find(row => !isBlocked(row));
+            if (!next) break;
+
+            // 通过状态条件抢占任务，避免多实例重复执行
+            const claimed = await db.query(
+                "UPDATE sync_jobs SET status = 'running', started_at = NOW() WHERE id = ? AND status = 'queued'",
+                [next.id]
+            );
+            if (claimed.affectedRows === 0) continue;
+
+            await runJob(formatJob(next));
+        }
+    } catch (error) {
+        console.error('[SyncQueue] Worker error:', error);
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * 执行单个任务并记录进度与结果
+ */
+async function runJob(job) {
+    const progress = {};
+    let lastSavedAt = 0;
+    let saving = Promise.resolve();
+
+    const saveProgress = (force = false) => {
+        const now = Date.now();
+        if (!force && now - lastSavedAt < PROGRESS_SAVE_INTERVAL) return saving;
+        lastSavedAt = now;
+        const snapshot = JSON.stringify(progress);
+        saving = saving
+            .then(() => db.query('UPDATE sync_jobs SET progress = ? WHERE id = ?', [snapshot, job.id]))
+            .catch(err => console.error(`[SyncQueue] Failed to save progress for job ${job.id}:`, err.message));
+        return saving;
+    };
+
+    const onProgress = (event) => {
+        const item = progress[event.databaseId] || (progress[event.databaseId] = {
+            status: 'running',
+            pages: 0,
+            rows: 0,
+            removed: 0,
+            errors: []
+        });
+
+        switch (event.type) {
+            case 'page':
+                item.pages += 1;
+                item.rows += event.rows || 0;
+                break;
+            case 'removed':
+                item.removed += event.rows || 0;
+                break;
+            case 'error':
+                item.errors.push(event.dataSourceId ? `${event.dataSourceId}: ${event.error}` : event.error);
+                break;
+            case 'done':
+                item.status = event.success ? 'succeeded' : 'failed';
+                break;
+            default:
+                break;
+        }
+        saveProgress(event.type === 'done');
+    };
+
+    let lastCancelCheck = 0;
+    let cancelled = false;
+    const shouldCancel = async () => {
+        const now = Date.now();
+        if (cancelled || now - lastCancelCheck < CANCEL_CHECK_INTERVAL) return cancelled;
+        lastCancelCheck = now;
+        const rows = await db.query('SELECT cancel_requested FROM sync_jobs WHERE id = ?', [job.id]);
+        cancelled = rows.length > 0 && rows[0].cancel_requested === 1;
+        return cancelled;
+    };
+
+    console.log(`[SyncQueue] Running job ${job.id} for user ${job.user_id}${job.database_id ? ` (database ${job.database_id})` : ''}`);
+
+    let status = 'succeeded';
+    let result = null;
+    let errorMessage = null;
+
+    try {
+        const { pageId, dataSourceId } = job.options;
+        if (pageId && job.database_id) {
+            result = await SyncEngine.syncPage(job.user_id, job.database_id, pageId, { dataSourceId, jobId: job.id, onProgress });
+        } else if (pageId) {
+            result = await SyncEngine.syncWorkspacePage(job.user_id, pageId);
+        } else {
+            result = await SyncEngine.run(job.user_id, job.database_id, {
+                ...job.options,
+                jobId: job.id,
+                onProgress,
+                shouldCancel
+            });
+        }
+
+        const failed = (result.results || []).filter(r => !r.success);
+        if (failed.length > 0) {
+            status = 'failed';
+            errorMessage = `${failed.length} database(s) failed to sync`;
+        }
+    } catch (error) {
+        if (error.code === 'SYNC_CANCELLED') {
+            status = 'cancelled';
+        } else {
+            status = 'failed';
+            console.error(`[SyncQueue] Job ${job.id} failed:`, error);
+        }
+        errorMessage = error.message;
+    }
+
+    await saveProgress(true);
+    await db.query(
+        'UPDATE sync_jobs SET status = ?, result = ?, error_message = ?, finished_at = NOW() WHERE id = ?',
+        [status, result ? JSON.stringify(result) : null, errorMessage, job.id]
+    );
+    console.log(`[SyncQueue] Job ${job.id} finished with status ${status}`);
+}
+
+/**
+ * 获取用户的任务列表
+ * @param {number} userId
+ * @param {Object} filters { status, limit, offset }
+ */
+async function listJobs(userId, filters = {}) {
+    const { status, limit = 20, offset = 0 } = filters;
+    let where = 'WHERE user_id = ?';
+    const params = [userId];
+
+    if (status) {
+        where += ' AND status = ?';
+        params.push(status);
+    }
+
+    const rows = await db.query(
+        `SELECT * FROM sync_jobs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, parseInt(limit), parseInt(offset)]
+    );
+    const totalResult = await db.query(`SELECT COUNT(*) as total FROM sync_jobs ${where}`, params);
+
+    return { total: Number(totalResult[0].total || 0), data: rows.map(formatJob) };
+}
+
+/**
+ * 获取单个任务 (仅限所属用户)
+ */
+async function getJob(userId, jobId) {
+    const rows = await db.query('SELECT * FROM sync_jobs WHERE id = ? AND user_id = ?', [jobId, userId]);
+    return rows.length > 0 ? formatJob(rows[0]) : null;
+}
+
+/**
+ * 覆盖指定数据库的排队中或执行中的任务 (含同步全部数据库的任务)
+ * @returns {Object|null} 最早的一个任务，没有时返回 null
+ */
+async function findActiveJob(userId, databaseId) {
+    const rows = await db.query(
+        "SELECT * FROM sync_jobs WHERE user_id = ? AND status IN ('queued', 'running') AND (database_id IS NULL OR REPLACE(database_id, '-', '') = ?) ORDER BY id ASC LIMIT 1",
+        [userId, normalizeId(databaseId)]
+    );
+    return rows.length > 0 ? formatJob(rows[0]) : null;
+}
+
+/**
+ * 在不与同步任务交错的前提下对数据库执行操作 (如回滚同步表)
+ * 先占用数据库再检查任务：占用期间 worker 不会开始涉及该数据库的任务，之后新加入的任务在释放后执行
+ * 占用只在当前进程内有效，与 worker 同进程运行
+ * @param {number} userId
+ * @param {string} databaseId
+ * @param {Function} fn 占用期间执行的异步函数
+ * @returns {*} fn 的返回值
+ * @throws {Error} 已被占用时 code 为 DATABASE_BUSY，有排队中或执行中的任务时 code 为 SYNC_JOB_ACTIVE (error.job 为该任务)
+ */
+async function runExclusive(userId, databaseId, fn) {
+    const key = lockKey(userId, databaseId);
+    if (exclusive.has(key)) {
+        const error = new Error(`Database ${databaseId} is busy with another operation`);
+        error.code = 'DATABASE_BUSY';
+        throw error;
+    }
+
+    exclusive.add(key);
+    try {
+        const active = await findActiveJob(userId, databaseId);
+        if (active) {
+            const error = new Error(`Sync job ${active.id} is queued or running for database ${databaseId}`);
+            error.code = 'SYNC_JOB_ACTIVE';
+            error.job = active;
+            throw error;
+        }
+        return await fn();
+    } finally {
+        exclusive.delete(key);
+        processQueue();
+    }
+}
+
+/**
+ * 取消任务：排队中的任务直接取消，执行中的任务在拉取下一页前中止
+ * @returns {Object|null} 更新后的任务，任务不存在时返回 null
+ */
+async function cancelJob(userId, jobId) {
+    const job = await getJob(userId, jobId);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+        await db.query(
+            "UPDATE sync_jobs SET status = 'cancelled', cancel_requested = 1, finished_at = NOW() WHERE id = ? AND status = 'queued'",
+            [jobId]
+        );
+    } else if (job.status === 'running') {
+        await db.query('UPDATE sync_jobs SET cancel_requested = 1 WHERE id = ?', [jobId]);
+    }
+
+    return await getJob(userId, jobId);
+}
+
+/**
+ * 重试已结束 (失败或取消) 的任务，按原参数创建新任务
+ * @returns {Object|null} { jobId, existing }，任务不存在时返回 null
+ */
+async function retryJob(userId, jobId) {
+    const job = await getJob(userId, jobId);
+    if (!job) return null;
+
+    if (!['failed', 'cancelled'].includes(job.status)) {
+        const error = new Error(`Only failed or cancelled jobs can be retried (current status: ${job.status})`);
+        error.code = 'INVALID_JOB_STATUS';
+        throw error;
+    }
+
+    return await enqueue(userId, {
+        databaseId: job.database_id,
+        fullSync: job.options.fullSync,
+        dataSourceId: job.options.dataSourceId,
+        pageId: job.options.pageId,
+        trigger: 'retry',
+        retryOf: job.id
+    });
+}
+
+module.exports = {
+    init,
+    enqueue,
+    processQueue,
+    listJobs,
+    getJob,
+    findActiveJob,
+    runExclusive,
+    cancelJob,
+    retryJob
+};
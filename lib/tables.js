@@ -0,0 +1,136 @@
+const db = require('./db');
+const NotionClient = require('./notion');
+const schema = require('./schema');
+
+/**
+ * 同步表名登记
+ * 数据源的表名在同步时解析一次并保存在 notion_data_sources.table_name，读取数据时统一通过这里取得，
+ * Notion 中的标题变化后由同步自动重命名已有的表
+ */
+
+/**
+ * 数据源记录对应的同步表名 (尚未登记表名的旧记录按数据源名称推导)
+ * @param {Object} dataSource notion_data_sources 记录
+ * @returns {string|null}
+ */
+function tableNameOf(dataSource) {
+    if (!dataSource) return null;
+    if (dataSource.table_name) return dataSource.table_name;
+    return dataSource.name ? NotionClient.generateTableName(dataSource.user_id, dataSource.name) : null;
+}
+
+/**
+ * 同步表对应的页面详情表名
+ */
+function detailTableName(userId, tableName) {
+    return tableName.replace(`_${userId}`, `_detail_${userId}`);
+}
+
+/**
+ * 查找数据库下的数据源
+ * 指定 dataSourceId 时返回该数据源，否则返回最近添加的一个 (兼容单数据源数据库)
+ */
+async function findDataSource(userId, databaseId, dataSourceId = null) {
+    const rows = dataSourceId
+        ? await db.query('SELECT * FROM notion_data_sources WHERE database_id = ? AND user_id = ? AND data_source_id = ?', [databaseId, userId, dataSourceId])
+        : await db.query('SELECT * FROM notion_data_sources WHERE database_id = ? AND user_id = ? ORDER BY created_at DESC LIMIT 1', [databaseId, userId]);
+    return rows[0] || null;
+}
+
+/**
+ * 解析数据库 (及数据源) 对应的同步表
+ * @param {number} userId
+ * @param {string} databaseId
+ * @param {string} dataSourceId 可选
+ * @returns {Object|null} { dataSource, tableName }，数据源尚未同步时返回 null
+ */
+async function resolve(userId, databaseId, dataSourceId = null) {
+    const dataSource = await findDataSource(userId, databaseId, dataSourceId);
+    const tableName = tableNameOf(dataSource);
+    return tableName ? { dataSource, tableName } : null;
+}
+
+/**
+ * 列出用户已登记的数据源及表名
+ * @param {number} userId
+ * @param {string} databaseId 可选，只列出该数据库的数据源
+ * @returns {Object[]} notion_data_sources 记录，附加 tableName
+ */
+async function list(userId, databaseId = null) {
+    const rows = databaseId
+        ? await db.query('SELECT * FROM notion_data_sources WHERE user_id = ? AND database_id = ? ORDER BY created_at ASC', [userId, databaseId])
+        : await db.query('SELECT * FROM notion_data_sources WHERE user_id = ? ORDER BY created_at ASC', [userId]);
+    return rows.map(row => ({ ...row, tableName: tableNameOf(row) })).filter(row => row.tableName);
+}
+
+/**
+ * 表名是否已被该用户的其他数据源占用
+ */
+async function isTaken(userId, tableName, dataSourceId) {
+    const rows = await db.query(
+        'SELECT COUNT(*) AS total FROM notion_data_sources WHERE user_id = ? AND table_name = ? AND data_source_id <> ?',
+        [userId, tableName, dataSourceId]
+    );
+    return Number(rows[0].total) > 0;
+}
+
+/**
+ * 同步时登记数据源的表名
+ * 首次登记时按标题生成表名 (与其他数据源重名时追加数据源 ID 前缀)，升级前按名称推导的表已存在时以它为当前表名；
+ * 标题变化后生成的表名不同时，把已有的表 (连同链接表、历史表、上一代与详情表) 重命名为新表名，新表名已存在时保留原表名
+ * @param {number} userId
+ * @param {string} databaseId
+ * @param {Object} dataSource { id, name }
+ * @param {Array|string} title 数据源标题
+ * @param {Object} options
+ * @param {boolean} options.preview 为 true 时只返回当前使用的表名，不登记也不重命名
+ * @returns {string} 表名
+ */
+async function register(userId, databaseId, dataSource, title, options = {}) {
+    const desired = NotionClient.generateTableName(userId, title);
+    const rows = await db.query(
+        'SELECT user_id, name, table_name FROM notion_data_sources WHERE user_id = ? AND data_source_id = ?',
+        [userId, dataSource.id]
+    );
+    let current = rows.length > 0 ? rows[0].table_name : null;
+    if (!current && rows.length > 0) {
+        // 升级前登记的数据源没有表名：按旧规则推导的表已存在时沿用，标题变化时随后重命名
+        const legacy = tableNameOf(rows[0]);
+        if (legacy && await schema.tableExists(legacy)) current = legacy;
+    }
+    if (options.preview) return current || desired;
+
+    let tableName = current;
+    if (!current) {
+        tableName = (await isTaken(userId, desired, dataSource.id))
+            ? `${desired}_${dataSource.id.replace(/-/g, '').slice(0, 8)}`
+            : desired;
+    } else if (current !== desired) {
+        if ((await isTaken(userId, desired, dataSource.id)) || (await schema.tableExists(desired))) {
+            console.warn(`[Tables] ${desired} already exists, keeping ${current} for data source ${dataSource.id}`);
+        } else {
+            if (await schema.tableExists(current)) {
+                await schema.renameTableSet(current, desired, [[detailTableName(userId, current), detailTableName(userId, desired)]]);
+                console.log(`[Tables] Renamed ${current} to ${desired} after the data source title changed`);
+            }
+            tableName = desired;
+        }
+    }
+
+    await db.query(`
+        INSERT INTO notion_data_sources (user_id, database_id, data_source_id, name, table_name)
+        VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE table_name = VALUES(table_name), name = COALESCE(VALUES(name), name)
+    `, [userId, databaseId, dataSource.id, dataSource.name || null, tableName]);
+
+    return tableName;
+}
+
+module.exports = {
+    tableNameOf,
+    detailTableName,
+    findDataSource,
+    resolve,
+    list,
+    register
+};
@@ -0,0 +1,97 @@
+/**
+ * 时区相关的日期工具
+ * 同步表中的 DATETIME 按用户配置的时区 (user_configs.timezone) 存储本地时间，未配置时为 UTC
+ */
+
+// 仅日期 (全天) 的 Notion 日期值，如 2024-05-01
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+/**
+ * 获取指定时区的格式化器 (按时区缓存)
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * 校验 IANA 时区名称，如 Asia/Shanghai
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 是否为不含时间的日期字符串
+ */
+function isDateOnly(value) {
+    return typeof value === 'string' && DATE_ONLY.test(value);
+}
+
+/**
+ * 将时间转换为指定时区的 "YYYY-MM-DD HH:mm:ss"
+ * 仅日期的值不做时区换算，按当天零点保存
+ * @param {Date|string} value Date 或 ISO 时间字符串
+ * @param {string} timeZone 可选，为空时按 UTC
+ * @returns {string|null} 无法解析时返回 null
+ */
+function formatDateTime(value, timeZone = null) {
+    if (!value) return null;
+    if (isDateOnly(value)) return `${value} 00:00:00`;
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return null;
+    if (!timeZone) return date.toISOString().slice(0, 19).replace('T', ' ');
+
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * 指定时区的当天日期 "YYYY-MM-DD"
+ */
+function today(timeZone = null) {
+    return formatDateTime(new Date(), timeZone).slice(0, 10);
+}
+
+/**
+ * 日期加减天数 (纯日期运算，不受时区与夏令时影响)
+ * @param {string} ymd "YYYY-MM-DD"
+ * @param {number} days
+ * @returns {string} "YYYY-MM-DD"
+ */
+function addDays(ymd, days) {
+    const date = new Date(`${ymd}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    isValidTimeZone,
+    isDateOnly,
+    formatDateTime,
+    today,
+    addDays
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+/**
+ * 签发与校验访问令牌 (JWT, HS256)
+ * 密钥读取环境变量 JWT_SECRET
+ */
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const decodeJson = (segment) => JSON.parse(Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+
+const tokenError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+function getSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw tokenError('JWT_SECRET_MISSING', 'JWT_SECRET is not configured');
+    }
+    return secret;
+}
+
+const signature = (data, secret) => base64url(crypto.createHmac('sha256', secret).update(data).digest());
+
+/**
+ * 签发令牌
+ * @param {Object} payload 自定义声明，如 { sub, sid }
+ * @param {number} expiresIn 有效期 (秒)
+ * @returns {string}
+ */
+function sign(payload, expiresIn) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + expiresIn }));
+    return `${header}.${body}.${signature(`${header}.${body}`, getSecret())}`;
+}
+
+/**
+ * 校验令牌签名与有效期
+ * @param {string} token
+ * @returns {Object} payload
+ * @throws {Error} code 为 TOKEN_INVALID 或 TOKEN_EXPIRED
+ */
+function verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw tokenError('TOKEN_INVALID', 'Malformed token');
+    }
+
+    const [header, body, actual] = parts;
+    const expected = Buffer.from(signature(`${header}.${body}`, getSecret()));
+    const received = Buffer.from(actual);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw tokenError('TOKEN_INVALID', 'Invalid token signature');
+    }
+
+    let payload;
+    try {
+        if (decodeJson(header).alg !== 'HS256') throw new Error('Unsupported algorithm');
+        payload = decodeJson(body);
+    } catch (e) {
+        throw tokenError('TOKEN_INVALID', 'Malformed token');
+    }
+    if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+        throw tokenError('TOKEN_EXPIRED', 'Token expired');
+    }
+    return payload;
+}
+
+module.exports = {
+    sign,
+    verify
+};
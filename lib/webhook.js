@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const db = require('./db');
+const syncQueue = require('./syncQueue');
+
+/**
+ * Notion Webhook 事件处理
+ * 校验签名后将 page.* / database.* / data_source.* 事件映射到同步目标或工作区页面，并加入同步队列
+ */
+
+// 待确认的验证令牌有效期 (毫秒)，期间只保留最先收到的一条，后续令牌不会覆盖它
+const PENDING_TOKEN_TTL = 60 * 60 * 1000;
+const PENDING_CONFIG_KEY = 'notion_webhook_pending';
+
+// 归一化 ID (去除连字符)，Notion 事件中的 ID 带连字符，用户添加的数据库 ID 可能不带
+const normalizeId = (id) => String(id || '').replace(/-/g, '').toLowerCase();
+
+/**
+ * 计算请求体签名
+ * Notion 使用订阅验证时下发的 verification_token 作为密钥，对原始请求体做 HMAC-SHA256
+ * @param {Buffer|string} rawBody
+ * @param {string} secret
+ * @returns {string} "sha256=<hex>"
+ */
+function sign(rawBody, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+/**
+ * 校验 X-Notion-Signature 请求头
+ */
+function verifySignature(rawBody, signature, secret) {
+    if (!rawBody || !signature || !secret) return false;
+    const expected = Buffer.from(sign(rawBody, secret));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+const readPending = async (userId) => {
+    const value = await db.getConfig(userId, PENDING_CONFIG_KEY);
+    try {
+        const pending = value ? JSON.parse(value) : null;
+        if (!pending || !pending.token) return null;
+        return Date.now() - new Date(pending.receivedAt).getTime() < PENDING_TOKEN_TTL ? pending : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * 记录 Notion 下发的验证令牌，等待用户登录后确认
+ * 公开接口收到的令牌不能直接作为签名密钥，否则任何人都能替用户设置密钥并伪造事件；
+ * 已有未过期的待确认令牌时忽略新令牌，避免被连续提交的伪造令牌挤掉
+ * @returns {boolean} 是否已记录
+ */
+async function addPendingToken(userId, verificationToken) {
+    if (await readPending(userId)) return false;
+    const pending = { token: String(verificationToken), receivedAt: new Date().toISOString() };
+    await db.updateConfig(userId, PENDING_CONFIG_KEY, JSON.stringify(pending));
+    return true;
+}
+
+/**
+ * 待确认的验证令牌
+ * @returns {Object|null} { token, receivedAt }，没有或已过期时返回 null
+ */
+async function getPendingToken(userId) {
+    return readPending(userId);
+}
+
+/**
+ * 丢弃待确认的验证令牌 (不是 Notion 发送的令牌时)，之后可在 Notion 中重新发送
+ */
+async function clearPendingToken(userId) {
+    await db.updateConfig(userId, PENDING_CONFIG_KEY, '');
+}
+
+/**
+ * 确认验证令牌：与待确认令牌一致时保存为签名密钥，并清除待确认令牌
+ * @returns {boolean} 令牌与待确认令牌不一致或已过期时返回 false
+ */
+async function confirmPendingToken(userId, verificationToken) {
+    const pending = await readPending(userId);
+    if (!verificationToken || !pending || pending.token !== verificationToken) {
+        return false;
+    }
+    await db.updateConfig(userId, 'notion_webhook_secret', verificationToken);
+    await clearPendingToken(userId);
+    return true;
+}
+
+/**
+ * 按 (可能带连字符的) 数据库 ID 查找启用中的同步目标
+ */
+async function findTarget(userId, databaseId) {
+    const rows = await db.query(
+        "SELECT * FROM notion_sync_targets WHERE user_id = ? AND status = 1 AND REPLACE(database_id, '-', '') = ?",
+        [userId, normalizeId(databaseId)]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * 按数据源 ID 查找数据源及其所属的同步目标
+ */
+async function findDataSourceTarget(userId, dataSourceId) {
+    const rows = await db.query(
+        "SELECT * FROM notion_data_sources WHERE user_id = ? AND REPLACE(data_source_id, '-', '') = ?",
+        [userId, normalizeId(dataSourceId)]
+    );
+    if (rows.length === 0) return null;
+
+    const target = await findTarget(userId, rows[0].database_id);
+    return target ? { target, dataSource: rows[0] } : null;
+}
+
+/**
+ * 判断页面是否在用户已同步的工作区列表中
+ */
+async function isWorkspacePage(userId, pageId) {
+    const tableName = `user_${userId}_workspace_objects`;
+    const tableCheck = await db.query(
+        'SELECT COUNT(*) as exists_count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
+        [tableName]
+    );
+    if (tableCheck[0].exists_count === 0) return false;
+
+    const rows = await db.query(
+        `SELECT object_id FROM \`${tableName}\` WHERE type = 'page' AND REPLACE(object_id, '-', '') = ?`,
+        [normalizeId(pageId)]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * 将 Webhook 事件解析为同步任务参数
+ * @param {number} userId
+ * @param {Object} event Notion Webhook 事件
+ * @returns {Object} { job, reason } 无法匹配到同步对象时 job 为 null，reason 说明原因
+ */
+async function resolveEvent(userId, event) {
+    const type = event.type || '';
+    const entity = event.entity || {};
+    const parent = (event.data && event.data.parent) || {};
+
+    if (type.startsWith('page.')) {
+        // 数据库中的页面 (行)：只同步该页面
+        if (parent.type === 'database' || parent.type === 'data_source') {
+            const dataSourceId = parent.data_source_id || (parent.type === 'data_source' ? parent.id : null);
+            if (dataSourceId) {
+                const match = await findDataSourceTarget(userId, dataSourceId);
+                if (match) {
+                    return { job: { databaseId: match.target.database_id, dataSourceId: match.dataSource.data_source_id, pageId: entity.id } };
+                }
+            }
+            if (parent.type === 'database') {
+                const target = await findTarget(userId, parent.id);
+                if (target) {
+                    return { job: { databaseId: target.database_id, pageId: entity.id } };
+                }
+            }
+        }
+
+        // 工作区页面：同步该页面的内容块
+        if (await isWorkspacePage(userId, entity.id)) {
+            return { job: { pageId: entity.id } };
+        }
+        return { job: null, reason: 'Page does not belong to a sync target or the synced workspace' };
+    }
+
+    if (type.startsWith('data_source.')) {
+        const match = await findDataSourceTarget(userId, entity.id);
+        if (match) {
+            return { job: { databaseId: match.target.database_id, dataSourceId: match.dataSource.data_source_id } };
+        }
+        // 新建的数据源尚未记录时同步整个数据库
+        if (parent.type === 'database') {
+            const target = await findTarget(userId, parent.id);
+            if (target) return { job: { databaseId: target.database_id } };
+        }
+        return { job: null, reason: 'Data source does not belong to a sync target' };
+    }
+
+    if (type.startsWith('database.')) {
+        if (type === 'database.deleted') {
+            return { job: null, reason: 'Database deleted, sync skipped' };
+        }
+        const target = await findTarget(userId, entity.id);
+        if (target) return { job: { databaseId: target.database_id } };
+        return { job: null, reason: 'Database is not a sync target' };
+    }
+
+    return { job: null, reason: `Unsupported event type: ${type || 'unknown'}` };
+}
+
+/**
+ * 处理单个 Webhook 事件：匹配同步对象并加入同步队列
+ * @returns {Object} { eventId, type, queued, jobId, existing, reason }
+ */
+async function handleEvent(userId, event) {
+    const { job, reason } = await resolveEvent(userId, event);
+    const summary = { eventId: event.id || null, type: event.type || null, queued: false };
+
+    if (!job) {
+        console.log(`[Webhook] Ignored ${event.type} for user ${userId}: ${reason}`);
+        return { ...summary, reason };
+    }
+
+    const { jobId, existing } = await syncQueue.enqueue(userId, { ...job, trigger: 'webhook' });
+    console.log(`[Webhook] ${event.type} for user ${userId} ${existing ? 'merged into' : 'queued as'} job ${jobId}`);
+    return { ...summary, queued: true, jobId, existing };
+}
+
+module.exports = {
+    sign,
+    verifySignature,
+    resolveEvent,
+    handleEvent,
+    addPendingToken,
+    getPendingToken,
+    clearPendingToken,
+    confirmPendingToken
+};
@@ -0,0 +1,261 @@
+const db = require('./db');
+const NotionClient = require('./notion');
+const SyncEngine = require('./sync');
+const timezone = require('./timezone');
+const schema = require('./schema');
+
+/**
+ * 将同步表中的修改写回 Notion
+ * 字段按 MySQL 字段名传入，通过字段注释中的属性 ID 还原为 Notion 属性名称与类型
+ */
+
+// 支持写回的 Notion 属性类型，其余类型 (公式、汇总、创建时间等) 为只读
+const WRITABLE_TYPES = [
+    'title', 'rich_text', 'number', 'select', 'multi_select', 'status',
+    'date', 'checkbox', 'url', 'email', 'phone_number'
+];
+
+// Notion 单个 rich_text 片段的最大长度
+const TEXT_CHUNK_SIZE = 2000;
+
+const writeError = (code, message, details = null) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+/**
+ * 解析同步表字段与 Notion 属性的对应关系
+ * 优先按字段注释中的属性 ID 匹配，旧表没有注释时按 mapNotionToMysql 生成的字段名匹配
+ * @param {NotionClient} notion
+ * @param {string} tableName
+ * @param {string} dataSourceId
+ * 伴随字段 (如 people 的 _ids) 只用于回填，不参与写回
+ * @returns {Object} { columns: Map<字段名, { propertyName, type, property }>, mapping: { 属性名: 字段名 }, companions }
+ */
+async function resolveColumns(notion, tableName, dataSourceId) {
+    const structure = await notion.getDataSourceStructure(dataSourceId);
+    const properties = structure.properties || {};
+    const propertiesById = new Map();
+    for (const [name, prop] of Object.entries(properties)) {
+        propertiesById.set(prop.id, { name, prop });
+    }
+    const legacyMapping = notion.mapNotionToMysql(properties).mapping;
+
+    const existing = await db.query(`SHOW FULL COLUMNS FROM \`${tableName}\``);
+    const columns = new Map();
+    const mapping = {};
+    const companions = {};
+
+    for (const column of existing) {
+        let match = null;
+        const parsed = NotionClient.parseColumnComment(column.Comment);
+        if (parsed) {
+            match = propertiesById.get(parsed.propertyId) || null;
+            if (match && parsed.suffix) {
+                companions[match.name] = companions[match.name] || {};
+                companions[match.name][parsed.suffix] = column.Field;
+                continue;
+            }
+        } else {
+            const name = Object.keys(legacyMapping).find(key => legacyMapping[key] === column.Field);
+            if (name) match = { name, prop: properties[name] };
+        }
+        if (!match) continue;
+
+        columns.set(column.Field, { propertyName: match.name, type: match.prop.type, property: match.prop });
+        mapping[match.name] = column.Field;
+    }
+
+    return { columns, mapping, companions };
+}
+
+/**
+ * 将 MySQL 字段值转换为 Notion 属性值 (extractValue 的逆向转换)
+ * @param {string} type Notion 属性类型
+ * @param {*} value MySQL 字段值，null / 空字符串表示清空
+ * @param {Object} options
+ * @param {string} options.timeZone 同步表日期所在的时区 (用户配置 timezone)，为空时按 UTC
+ */
+function toNotionProperty(type, value, options = {}) {
+    const isEmpty = value === null || value === undefined || value === '';
+
+    switch (type) {
+        case 'title':
+        case 'rich_text': {
+            const text = isEmpty ? '' : String(value);
+            const chunks = [];
+            for (let i = 0; i < text.length; i += TEXT_CHUNK_SIZE) {
+                chunks.push({ type: 'text', text: { content: text.slice(i, i + TEXT_CHUNK_SIZE) } });
+            }
+            return { [type]: chunks };
+        }
+        case 'number': {
+            if (isEmpty) return { number: null };
+            const number = Number(value);
+            if (isNaN(number)) throw writeError('INVALID_VALUE', `Invalid number: ${value}`);
+            return { number };
+        }
+        case 'select':
+        case 'status':
+            return { [type]: isEmpty ? null : { name: String(value) } };
+        case 'multi_select': {
+            // 同步时多选值以 ", " 拼接，回写时同样支持逗号分隔的字符串
+            const names = isEmpty ? [] : (Array.isArray(value) ? value : String(value).split(','));
+            return { multi_select: names.map(name => String(name).trim()).filter(Boolean).map(name => ({ name })) };
+        }
+        case 'date': {
+            if (isEmpty) return { date: null };
+            // 同步表中的日期为用户时区 (未配置时为 UTC) 的 "YYYY-MM-DD HH:mm:ss"，零点时间视为仅日期
+            const { timeZone = null } = options;
+            const text = value instanceof Date ? timezone.formatDateTime(value, timeZone) : String(value).trim();
+            const dateOnly = text.match(/^(\d{4}-\d{2}-\d{2})(?:[ T]00:00:00(?:\.000)?Z?)?$/);
+            if (dateOnly) return { date: { start: dateOnly[1] } };
+
+            const local = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(:\d{2})?$/);
+            if (local && timeZone) {
+                // 不带偏移的本地时间交给 Notion 按 time_zone 解析
+                return { date: { start: `${local[1]}T${local[2]}${local[3] || ':00'}`, time_zone: timeZone } };
+            }
+            const normalized = local ? `${text.replace(' ', 'T')}Z` : text;
+            const date = new Date(normalized);
+            if (isNaN(date.getTime())) throw writeError('INVALID_VALUE', `Invalid date: ${value}`);
+            return { date: { start: date.toISOString() } };
+        }
+        case 'checkbox':
+            return { checkbox: value === true || value === 'true' || Number(value) === 1 };
+        case 'url':
+        case 'email':
+        case 'phone_number':
+            return { [type]: isEmpty ? null : String(value) };
+        default:
+            throw writeError('READ_ONLY_COLUMN', `Property type ${type} is not writable`);
+    }
+}
+
+/**
+ * 将按 MySQL 字段名传入的值转换为 Notion properties
+ * @param {Map} columns resolveColumns 返回的字段映射
+ * @param {Object} values { 字段名: 值 }
+ * @param {Object} options toNotionProperty 的可选项
+ */
+function buildProperties(columns, values, options = {}) {
+    const properties = {};
+    for (const [column, value] of Object.entries(values)) {
+        const info = columns.get(column);
+        if (!info) {
+            throw writeError('UNKNOWN_COLUMN', `Column ${column} does not map to a Notion property`);
+        }
+        if (!WRITABLE_TYPES.includes(info.type)) {
+            throw writeError('READ_ONLY_COLUMN', `Column ${column} (${info.type}) is read-only`);
+        }
+        try {
+            properties[info.propertyName] = toNotionProperty(info.type, value, options);
+        } catch (error) {
+            error.message = `${column}: ${error.message}`;
+            throw error;
+        }
+    }
+    return properties;
+}
+
+/**
+ * 用 Notion 返回的页面更新本地同步表
+ * @param {Object} target { tableName, timeZone, historyEnabled }
+ */
+async function saveLocalRow(target, page, mapping, companions) {
+    const { tableName, timeZone = null, historyEnabled = false } = target;
+    const row = SyncEngine.recordToRow(page, mapping, companions, { timeZone });
+
+    let historyContext = null;
+    if (historyEnabled) {
+        await schema.ensureHistoryTable(tableName);
+        historyContext = { source: 'write_back' };
+    }
+    await SyncEngine.saveRows(tableName, [row], null, historyContext);
+    return row;
+}
+
+/**
+ * 页面在上次同步后是否又在 Notion 中被修改
+ * 升级前同步的行没有 notion_edited_at，改按 synced_at 比较 (Notion 的编辑时间只精确到分钟，同步后同一分钟内的修改无法识别)
+ */
+function editedSinceSync(page, localRow) {
+    if (localRow.notion_edited_at) {
+        return page.last_edited_time !== localRow.notion_edited_at;
+    }
+    if (!localRow.synced_at) return true;
+    return new Date(page.last_edited_time) > new Date(localRow.synced_at);
+}
+
+/**
+ * 更新单行并写回 Notion
+ * 写回前比较 Notion 当前的 last_edited_time 与同步时记录的 notion_edited_at，不一致说明 Notion 侧已被修改
+ * @param {NotionClient} notion
+ * @param {Object} target { tableName, dataSourceId, timeZone, historyEnabled }
+ * @param {string} notionId 页面 ID (同步表的 notion_id)
+ * @param {Object} values { MySQL 字段名: 值 }
+ * @param {Object} options
+ * @param {boolean} options.force 为 true 时跳过冲突检测，直接覆盖
+ * @returns {Object} 更新后的本地行
+ */
+async function updateRow(notion, target, notionId, values, options = {}) {
+    const { tableName, dataSourceId, timeZone = null } = target;
+
+    if (!values || typeof values !== 'object' || Object.keys(values).length === 0) {
+        throw writeError('EMPTY_VALUES', 'No values to update');
+    }
+
+    const rows = await db.query(`SELECT * FROM \`${tableName}\` WHERE notion_id = ?`, [notionId]);
+    if (rows.length === 0 || rows[0].is_deleted === 1) {
+        throw writeError('ROW_NOT_FOUND', `Row ${notionId} not found in ${tableName}`);
+    }
+    const localRow = rows[0];
+
+    const { columns, mapping, companions } = await resolveColumns(notion, tableName, dataSourceId);
+    const properties = buildProperties(columns, values, { timeZone });
+
+    if (!options.force) {
+        const page = await notion.getPage(notionId);
+        if (editedSinceSync(page, localRow)) {
+            throw writeError('WRITE_CONFLICT', 'The page was modified in Notion after the last sync', {
+                notionEditedAt: page.last_edited_time,
+                syncedEditedAt: localRow.notion_edited_at
+            });
+        }
+    }
+
+    const updated = await notion.updatePage(notionId, properties);
+    return await saveLocalRow(target, updated, mapping, companions);
+}
+
+/**
+ * 在 Notion 数据源中新建一行，并立即写入本地同步表
+ * @param {NotionClient} notion
+ * @param {Object} target { tableName, dataSourceId, timeZone, historyEnabled }
+ * @param {Object} values { MySQL 字段名: 值 }
+ * @returns {Object} 新建的本地行
+ */
+async function createRow(notion, target, values) {
+    const { tableName, dataSourceId, timeZone = null } = target;
+
+    if (!values || typeof values !== 'object' || Object.keys(values).length === 0) {
+        throw writeError('EMPTY_VALUES', 'No values to create');
+    }
+
+    const { columns, mapping, companions } = await resolveColumns(notion, tableName, dataSourceId);
+    const properties = buildProperties(columns, values, { timeZone });
+
+    const page = await notion.createPage(dataSourceId, properties);
+    return await saveLocalRow(target, page, mapping, companions);
+}
+
+module.exports = {
+    WRITABLE_TYPES,
+    resolveColumns,
+    toNotionProperty,
+    buildProperties,
+    updateRow,
+    createRow
+};
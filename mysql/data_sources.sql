@@ -5,6 +5,7 @@ CREATE TABLE IF NOT EXISTS `notion_data_sources` (
     `database_id` VARCHAR(100) NOT NULL COMMENT '所属 Notion 数据库 ID',
     `data_source_id` VARCHAR(100) NOT NULL COMMENT 'Notion 数据源 ID',
     `name` VARCHAR(100) COMMENT '数据源名称',
+    `table_name` VARCHAR(64) NULL COMMENT '同步表名 (同步时登记，标题变化时自动重命名)',
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE KEY `uk_user_ds` (`user_id`, `data_source_id`),
     FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
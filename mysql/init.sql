@@ -2,7 +2,7 @@
 CREATE TABLE IF NOT EXISTS `users` (
     `id` INT AUTO_INCREMENT PRIMARY KEY COMMENT '用户 ID',
     `username` VARCHAR(50) NOT NULL UNIQUE COMMENT '用户名',
-    `password` VARCHAR(255) NOT NULL COMMENT '密码',
+    `password` VARCHAR(255) NOT NULL COMMENT '密码 (scrypt 哈希)',
     `permissions` TEXT COMMENT '权限标识，逗号分隔，如 sync:notion',
     `role` VARCHAR(20) DEFAULT 'user' COMMENT '角色',
     `avatar` TEXT COMMENT '用户头像 URL',
@@ -10,12 +10,46 @@ CREATE TABLE IF NOT EXISTS `users` (
     `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间'
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='用户管理表';
 
+-- 登录会话表 (刷新令牌只保存 SHA-256 哈希)
+CREATE TABLE IF NOT EXISTS `auth_sessions` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY COMMENT '会话 ID (访问令牌中的 sid)',
+    `user_id` INT NOT NULL COMMENT '所属用户 ID',
+    `refresh_token_hash` CHAR(64) NOT NULL COMMENT '当前刷新令牌的 SHA-256 哈希，刷新时轮换',
+    `user_agent` VARCHAR(255) NULL COMMENT '登录时的 User-Agent',
+    `ip` VARCHAR(64) NULL COMMENT '登录时的 IP',
+    `expires_at` TIMESTAMP NULL COMMENT '会话过期时间',
+    `last_used_at` TIMESTAMP NULL COMMENT '最后一次刷新时间',
+    `revoked_at` TIMESTAMP NULL COMMENT '吊销时间 (登出)',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '登录时间',
+    UNIQUE KEY `uk_refresh_token` (`refresh_token_hash`),
+    INDEX `idx_user` (`user_id`),
+    FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='登录会话表';
+
+-- 个人访问令牌表 (供脚本、BI 工具调用 API，只保存哈希)
+CREATE TABLE IF NOT EXISTS `personal_access_tokens` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT NOT NULL COMMENT '所属用户 ID',
+    `name` VARCHAR(100) NOT NULL COMMENT '令牌名称 (用途说明)',
+    `token_hash` CHAR(64) NOT NULL COMMENT '令牌的 SHA-256 哈希',
+    `token_prefix` VARCHAR(16) NOT NULL COMMENT '令牌前几位，用于列表中辨认',
+    `scopes` JSON NOT NULL COMMENT '权限范围，如 ["data:read", "sync:notion"]',
+    `expires_at` TIMESTAMP NULL COMMENT '过期时间 (NULL 为永不过期)',
+    `last_used_at` TIMESTAMP NULL COMMENT '最后使用时间',
+    `last_used_ip` VARCHAR(64) NULL COMMENT '最后使用的 IP',
+    `revoked_at` TIMESTAMP NULL COMMENT '吊销时间',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY `uk_token_hash` (`token_hash`),
+    INDEX `idx_user` (`user_id`),
+    FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='个人访问令牌表';
+
 -- 用户级 Notion 配置表 (替代原 configs 表)
 CREATE TABLE IF NOT EXISTS `user_configs` (
     `id` INT AUTO_INCREMENT PRIMARY KEY,
     `user_id` INT NOT NULL COMMENT '所属用户 ID',
     `config_key` VARCHAR(100) NOT NULL COMMENT '配置键名',
-    `config_value` TEXT COMMENT '配置值',
+    `config_value` TEXT COMMENT '配置值 (notion_api_key 等敏感项为 AES-256-GCM 密文)',
     `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     UNIQUE KEY `uk_user_key` (`user_id`, `config_key`),
     FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
@@ -32,6 +66,7 @@ CREATE TABLE IF NOT EXISTS `api_logs` (
     `response_body` LONGTEXT COMMENT '响应结果',
     `is_success` TINYINT(1) DEFAULT 0 COMMENT '是否成功',
     `error_message` TEXT COMMENT '异常信息',
+    `retry_count` INT NOT NULL DEFAULT 0 COMMENT '重试次数 (限流 / 服务端错误 / 超时)',
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '调用时间',
     FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='API 调用日志表';
@@ -44,11 +79,55 @@ CREATE TABLE IF NOT EXISTS `notion_sync_targets` (
     `name` VARCHAR(100) COMMENT '数据库别名/名称',
     `status` TINYINT(1) DEFAULT 1 COMMENT '是否启用同步: 1启用, 0禁用',
     `last_sync_at` TIMESTAMP NULL COMMENT '最后同步时间',
+    `last_edited_watermark` VARCHAR(40) NULL COMMENT '增量同步水位线 (已同步记录中最大的 last_edited_time)',
+    `deletion_mode` VARCHAR(10) NOT NULL DEFAULT 'soft' COMMENT '删除同步方式: soft 标记删除, hard 物理删除',
+    `sync_cron` VARCHAR(100) NULL COMMENT '该数据库的定时同步 cron 表达式，为空时使用用户级 sync_schedule',
+    `sync_timezone` VARCHAR(64) NULL COMMENT 'cron 表达式使用的时区，如 Asia/Shanghai',
+    `history_enabled` TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否记录行变更历史 (<表名>_history)',
+    `shadow_sync` TINYINT(1) NOT NULL DEFAULT 0 COMMENT '全量同步是否写入影子表后整表替换 (保留上一代 <表名>__prev)',
+    `query_filter` JSON NULL COMMENT '同步时的 Notion 查询条件 (filter)',
+    `query_sorts` JSON NULL COMMENT '同步时的 Notion 排序 (sorts)',
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE KEY `uk_user_db` (`user_id`, `database_id`),
     FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Notion 同步目标配置表';
 
+-- 字段映射覆盖表 (按 Notion 属性 ID 自定义字段名、类型或排除属性)
+CREATE TABLE IF NOT EXISTS `notion_field_overrides` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `target_id` INT NOT NULL COMMENT '同步目标 ID (notion_sync_targets.id)',
+    `data_source_id` VARCHAR(100) NOT NULL COMMENT 'Notion 数据源 ID',
+    `property_id` VARCHAR(100) NOT NULL COMMENT 'Notion 属性 ID',
+    `column_name` VARCHAR(64) NULL COMMENT '自定义字段名，为空时按属性名自动生成',
+    `column_type` VARCHAR(64) NULL COMMENT '强制字段类型，为空时按属性类型推断',
+    `excluded` TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否排除该属性 (不建字段、不同步)',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY `uk_target_property` (`target_id`, `data_source_id`, `property_id`),
+    FOREIGN KEY (`target_id`) REFERENCES `notion_sync_targets`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='字段映射覆盖表';
+
+-- 同步任务队列表
+CREATE TABLE IF NOT EXISTS `sync_jobs` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY COMMENT '任务 ID',
+    `user_id` INT NOT NULL COMMENT '所属用户 ID',
+    `database_id` VARCHAR(100) NULL COMMENT '指定同步的数据库 ID，为空表示全部启用的数据库',
+    `trigger_type` VARCHAR(20) NOT NULL DEFAULT 'manual' COMMENT '触发方式: manual, schedule, retry, webhook',
+    `options` JSON COMMENT '同步参数 (fullSync、dataSourceId、pageId)',
+    `status` VARCHAR(20) NOT NULL DEFAULT 'queued' COMMENT '状态: queued, running, succeeded, failed, cancelled',
+    `progress` JSON COMMENT '各数据库的同步进度 (已拉取页数、写入行数、错误)',
+    `result` JSON COMMENT '同步结果',
+    `error_message` TEXT COMMENT '异常信息',
+    `cancel_requested` TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否已请求取消',
+    `retry_of` INT NULL COMMENT '重试来源任务 ID',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+    `started_at` TIMESTAMP NULL COMMENT '开始执行时间',
+    `finished_at` TIMESTAMP NULL COMMENT '结束时间',
+    INDEX `idx_status` (`status`, `id`),
+    INDEX `idx_user_created` (`user_id`, `created_at`),
+    FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='同步任务队列表';
+
 -- 监控日志表 (性能与错误)
 CREATE TABLE IF NOT EXISTS `monitoring_logs` (
     `id` INT AUTO_INCREMENT PRIMARY KEY,
@@ -87,12 +166,11 @@ CREATE TABLE IF NOT EXISTS `page_shares` (
 INSERT IGNORE INTO `dict_table` (`dict_code`, `dict_name`, `category`) VALUES 
 ('sync:notion', '执行 Notion 同步权限', 'permission'),
 ('data:delete', '删除数据连接权限', 'permission'),
+('data:write', '编辑同步数据并写回 Notion 权限', 'permission'),
 ('user:manage', '用户管理权限', 'permission'),
 ('config:manage', '系统配置权限', 'permission');
 
--- 初始化默认管理员 (密码: admin123)
-INSERT IGNORE INTO `users` (`username`, `password`, `permissions`, `role`) VALUES 
-('admin', 'admin123', 'sync:notion,data:delete,user:manage,config:manage', 'admin');
+-- 管理员账号不在此创建，执行 npm run init-admin 生成随机密码
 
 -- 页面分享配置表
 CREATE TABLE IF NOT EXISTS `shares` (
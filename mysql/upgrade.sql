@@ -0,0 +1,126 @@
+-- 已有部署的结构升级脚本
+-- 全新部署直接执行 init.sql 即可，无需执行本文件；按顺序执行尚未应用的语句
+
+-- 增量同步水位线
+ALTER TABLE `notion_sync_targets`
+    ADD COLUMN `last_edited_watermark` VARCHAR(40) NULL COMMENT '增量同步水位线 (已同步记录中最大的 last_edited_time)' AFTER `last_sync_at`;
+
+-- 同步删除 / 归档记录的处理方式
+ALTER TABLE `notion_sync_targets`
+    ADD COLUMN `deletion_mode` VARCHAR(10) NOT NULL DEFAULT 'soft' COMMENT '删除同步方式: soft 标记删除, hard 物理删除' AFTER `last_edited_watermark`;
+
+-- 同步任务队列表
+CREATE TABLE IF NOT EXISTS `sync_jobs` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY COMMENT '任务 ID',
+    `user_id` INT NOT NULL COMMENT '所属用户 ID',
+    `database_id` VARCHAR(100) NULL COMMENT '指定同步的数据库 ID，为空表示全部启用的数据库',
+    `trigger_type` VARCHAR(20) NOT NULL DEFAULT 'manual' COMMENT '触发方式: manual, schedule, retry, webhook',
+    `options` JSON COMMENT '同步参数 (fullSync、dataSourceId、pageId)',
+    `status` VARCHAR(20) NOT NULL DEFAULT 'queued' COMMENT '状态: queued, running, succeeded, failed, cancelled',
+    `progress` JSON COMMENT '各数据库的同步进度 (已拉取页数、写入行数、错误)',
+    `result` JSON COMMENT '同步结果',
+    `error_message` TEXT COMMENT '异常信息',
+    `cancel_requested` TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否已请求取消',
+    `retry_of` INT NULL COMMENT '重试来源任务 ID',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+    `started_at` TIMESTAMP NULL COMMENT '开始执行时间',
+    `finished_at` TIMESTAMP NULL COMMENT '结束时间',
+    INDEX `idx_status` (`status`, `id`),
+    INDEX `idx_user_created` (`user_id`, `created_at`),
+    FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='同步任务队列表';
+
+-- 按数据库配置定时同步
+ALTER TABLE `notion_sync_targets`
+    ADD COLUMN `sync_cron` VARCHAR(100) NULL COMMENT '该数据库的定时同步 cron 表达式，为空时使用用户级 sync_schedule' AFTER `deletion_mode`,
+    ADD COLUMN `sync_timezone` VARCHAR(64) NULL COMMENT 'cron 表达式使用的时区，如 Asia/Shanghai' AFTER `sync_cron`;
+
+-- API 调用重试次数
+ALTER TABLE `api_logs`
+    ADD COLUMN `retry_count` INT NOT NULL DEFAULT 0 COMMENT '重试次数 (限流 / 服务端错误 / 超时)' AFTER `error_message`;
+
+-- 同步数据写回 Notion 权限
+INSERT IGNORE INTO `dict_table` (`dict_code`, `dict_name`, `category`) VALUES
+('data:write', '编辑同步数据并写回 Notion 权限', 'permission');
+
+-- 管理员默认拥有写回权限 (其他用户由管理员按需授予)
+UPDATE `users`
+SET `permissions` = CONCAT_WS(',', NULLIF(`permissions`, ''), 'data:write')
+WHERE `role` = 'admin' AND NOT FIND_IN_SET('data:write', IFNULL(`permissions`, ''));
+
+-- 行变更历史
+ALTER TABLE `notion_sync_targets`
+    ADD COLUMN `history_enabled` TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否记录行变更历史 (<表名>_history)' AFTER `sync_timezone`;
+
+-- 影子表同步
+ALTER TABLE `notion_sync_targets`
+    ADD COLUMN `shadow_sync` TINYINT(1) NOT NULL DEFAULT 0 COMMENT '全量同步是否写入影子表后整表替换 (保留上一代 <表名>__prev)' AFTER `history_enabled`;
+
+-- 同步表名登记
+ALTER TABLE `notion_data_sources`
+    ADD COLUMN `table_name` VARCHAR(64) NULL COMMENT '同步表名 (同步时登记，标题变化时自动重命名)' AFTER `name`;
+
+-- 字段映射覆盖表 (按 Notion 属性 ID 自定义字段名、类型或排除属性)
+CREATE TABLE IF NOT EXISTS `notion_field_overrides` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `target_id` INT NOT NULL COMMENT '同步目标 ID (notion_sync_targets.id)',
+    `data_source_id` VARCHAR(100) NOT NULL COMMENT 'Notion 数据源 ID',
+    `property_id` VARCHAR(100) NOT NULL COMMENT 'Notion 属性 ID',
+    `column_name` VARCHAR(64) NULL COMMENT '自定义字段名，为空时按属性名自动生成',
+    `column_type` VARCHAR(64) NULL COMMENT '强制字段类型，为空时按属性类型推断',
+    `excluded` TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否排除该属性 (不建字段、不同步)',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY `uk_target_property` (`target_id`, `data_source_id`, `property_id`),
+    FOREIGN KEY (`target_id`) REFERENCES `notion_sync_targets`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='字段映射覆盖表';
+
+-- 同步查询条件与排序
+ALTER TABLE `notion_sync_targets`
+    ADD COLUMN `query_filter` JSON NULL COMMENT '同步时的 Notion 查询条件 (filter)' AFTER `shadow_sync`,
+    ADD COLUMN `query_sorts` JSON NULL COMMENT '同步时的 Notion 排序 (sorts)' AFTER `query_filter`;
+
+-- 密码改为 scrypt 哈希保存 (已有的明文密码在下次登录成功时自动转换)
+ALTER TABLE `users`
+    MODIFY COLUMN `password` VARCHAR(255) NOT NULL COMMENT '密码 (scrypt 哈希)';
+
+-- 登录会话表 (刷新令牌只保存 SHA-256 哈希)
+CREATE TABLE IF NOT EXISTS `auth_sessions` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY COMMENT '会话 ID (访问令牌中的 sid)',
+    `user_id` INT NOT NULL COMMENT '所属用户 ID',
+    `refresh_token_hash` CHAR(64) NOT NULL COMMENT '当前刷新令牌的 SHA-256 哈希，刷新时轮换',
+    `user_agent` VARCHAR(255) NULL COMMENT '登录时的 User-Agent',
+    `ip` VARCHAR(64) NULL COMMENT '登录时的 IP',
+    `expires_at` TIMESTAMP NULL COMMENT '会话过期时间',
+    `last_used_at` TIMESTAMP NULL COMMENT '最后一次刷新时间',
+    `revoked_at` TIMESTAMP NULL COMMENT '吊销时间 (登出)',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '登录时间',
+    UNIQUE KEY `uk_refresh_token` (`refresh_token_hash`),
+    INDEX `idx_user` (`user_id`),
+    FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='登录会话表';
+
+-- 个人访问令牌表 (只保存 SHA-256 哈希)
+CREATE TABLE IF NOT EXISTS `personal_access_tokens` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT NOT NULL COMMENT '所属用户 ID',
+    `name` VARCHAR(100) NOT NULL COMMENT '令牌名称 (用途说明)',
+    `token_hash` CHAR(64) NOT NULL COMMENT '令牌的 SHA-256 哈希',
+    `token_prefix` VARCHAR(16) NOT NULL COMMENT '令牌前几位，用于列表中辨认',
+    `scopes` JSON NOT NULL COMMENT '权限范围，如 ["data:read", "sync:notion"]',
+    `expires_at` TIMESTAMP NULL COMMENT '过期时间 (NULL 为永不过期)',
+    `last_used_at` TIMESTAMP NULL COMMENT '最后使用时间',
+    `last_used_ip` VARCHAR(64) NULL COMMENT '最后使用的 IP',
+    `revoked_at` TIMESTAMP NULL COMMENT '吊销时间',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY `uk_token_hash` (`token_hash`),
+    INDEX `idx_user` (`user_id`),
+    FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='个人访问令牌表';
+
+-- Notion API 密钥、Webhook 密钥改为加密保存
+-- 配置 CONFIG_ENCRYPTION_KEY 后执行 npm run rotate-config-key 加密已有的明文
+ALTER TABLE `user_configs`
+    MODIFY COLUMN `config_value` TEXT COMMENT '配置值 (notion_api_key 等敏感项为 AES-256-GCM 密文)';
+
+-- 旧版 init.sql 创建的管理员默认密码为 admin123，升级后执行 npm run init-admin 检测并重置为随机密码
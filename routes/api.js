@@ -2,9 +2,24 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const Auth = require('../lib/auth');
+const password = require('../lib/password');
+const session = require('../lib/session');
+const accessTokens = require('../lib/accessTokens');
+const secrets = require('../lib/secrets');
+const { authenticate, identify, isAdmin } = require('../lib/authMiddleware');
 const db = require('../lib/db');
 const SyncEngine = require('../lib/sync');
+const syncQueue = require('../lib/syncQueue');
+const scheduler = require('../lib/scheduler');
+const writeBack = require('../lib/writeBack');
+const webhook = require('../lib/webhook');
+const timezone = require('../lib/timezone');
+const history = require('../lib/history');
+const tables = require('../lib/tables');
+const fieldOverrides = require('../lib/fieldOverrides');
+const queryFilter = require('../lib/queryFilter');
 const NotionClient = require('../lib/notion');
+const schema = require('../lib/schema');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -39,29 +54,9 @@ const upload = multer({
 const { StatusCode } = require('../lib/constants');
 
 /**
- * 简单的身份验证中间件
- * 实际应用中建议使用 JWT 或 Session
+ * 解析 body / query 中的布尔开关参数
  */
-const authenticate = async (req, res, next) => {
-    const userId = req.headers['x-user-id'];
-    if (!userId) {
-        return res.status(401).json({ 
-            success: false, 
-            message: '未登录',
-            code: StatusCode.UNAUTHORIZED
-        });
-    }
-    const user = await Auth.getUser(userId);
-    if (!user) {
-        return res.status(401).json({ 
-            success: false, 
-            message: '无效的用户',
-            code: StatusCode.UNAUTHORIZED
-        });
-    }
-    req.user = user;
-    next();
-};
+const parseFlag = (value) => value === true || value === 1 || value === 'true' || value === '1';
 
 /**
  * 从本地数据库获取层级面包屑 (避免调用 Notion API)
@@ -115,14 +110,57 @@ const getBreadcrumbsFromDb = async (userId, objectId) => {
 };
 
 /**
- * 管理员权限验证中间件
+ * 解析可写回 Notion 的同步表 (数据库需已启用且已同步出数据源)
+ * @returns {Object} { target, dataSource, tableName }，校验失败时返回 { error: { status, message } }
+ */
+const resolveWritableTable = async (userId, databaseId, dataSourceId = null) => {
+    const targets = await db.query('SELECT status, history_enabled FROM notion_sync_targets WHERE database_id = ? AND user_id = ?', [databaseId, userId]);
+    if (targets.length === 0) {
+        return { error: { status: 404, message: '配置不存在或无权操作' } };
+    }
+    if (targets[0].status === 0) {
+        return { error: { status: 403, message: '该数据库链路已挂起，无法修改数据' } };
+    }
+
+    const resolved = await tables.resolve(userId, databaseId, dataSourceId);
+    if (!resolved) {
+        return { error: { status: 404, message: dataSourceId ? '数据源不存在或不属于该数据库' : '该数据库尚未同步，请先执行同步' } };
+    }
+    return { target: targets[0], ...resolved };
+};
+
+/**
+ * 将写回 Notion 过程中的错误转换为接口响应
  */
-const isAdmin = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
-        next();
-    } else {
-        res.status(403).json({ success: false, message: '需要管理员权限' });
+const sendWriteBackError = (res, error) => {
+    switch (error.code) {
+        case 'EMPTY_VALUES':
+        case 'UNKNOWN_COLUMN':
+        case 'READ_ONLY_COLUMN':
+        case 'INVALID_VALUE':
+            return res.status(400).json({ success: false, message: error.message });
+        case 'ROW_NOT_FOUND':
+            return res.status(404).json({ success: false, message: '记录不存在或已在 Notion 中删除' });
+        case 'WRITE_CONFLICT':
+            return res.status(409).json({
+                success: false,
+                message: 'Notion 中的记录在上次同步后已被修改，请先同步或使用 force 覆盖',
+                data: error.details
+            });
+        default:
+            break;
     }
+
+    if (error.response) {
+        // Notion 返回的校验错误 (如选项不存在) 原样返回给调用方
+        const notionMessage = error.response.data && error.response.data.message;
+        return res.status(error.response.status === 400 ? 400 : 502).json({
+            success: false,
+            message: `Notion API 错误: ${notionMessage || error.message}`,
+            code: error.response.status === 400 ? StatusCode.BAD_REQUEST : StatusCode.NOTION_API_ERROR
+        });
+    }
+    res.status(500).json({ success: false, message: error.message });
 };
 
 /**
@@ -130,13 +168,17 @@ const isAdmin = (req, res, next) => {
  * POST /api/register
  */
 router.post('/register', async (req, res) => {
-    const { username, password } = req.body;
-    if (!username || !password) {
+    const { username, password: plainPassword } = req.body;
+    if (!username || !plainPassword) {
         return res.status(400).json({ success: false, message: '用户名和密码不能为空' });
     }
+    const weakness = password.checkStrength(plainPassword, username);
+    if (weakness) {
+        return res.status(400).json({ success: false, message: weakness });
+    }
 
     try {
-        await Auth.createUser(username, password);
+        await Auth.createUser(username, plainPassword);
         res.json({ success: true, message: '注册成功' });
     } catch (error) {
         if (error.code === 'ER_DUP_ENTRY') {
@@ -152,14 +194,16 @@ router.post('/register', async (req, res) => {
  * POST /api/login
  */
 router.post('/login', async (req, res) => {
-    const { username, password } = req.body;
+    const { username, password: plainPassword } = req.body;
     try {
-        const user = await Auth.login(username, password);
+        const user = await Auth.login(username, plainPassword);
         if (user) {
+            const tokens = await session.create(user, { userAgent: req.headers['user-agent'], ip: req.ip });
             res.json({
                 success: true,
                 message: '登录成功',
-                user: { id: user.id, username: user.username, role: user.role }
+                user: { id: user.id, username: user.username, role: user.role },
+                data: tokens
             });
         } else {
             res.status(401).json({ success: false, message: '用户名或密码错误' });
@@ -169,6 +213,41 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * 刷新访问令牌
+ * POST /api/auth/refresh
+ * Body: { refreshToken } 返回新的访问令牌与刷新令牌，旧的刷新令牌随即失效
+ */
+router.post('/auth/refresh', async (req, res) => {
+    try {
+        const { accessToken, refreshToken, expiresIn } = await session.refresh(req.body.refreshToken);
+        res.json({ success: true, message: '令牌已刷新', data: { accessToken, refreshToken, expiresIn } });
+    } catch (error) {
+        if (error.code === 'INVALID_REFRESH_TOKEN') {
+            return res.status(401).json({ success: false, message: '刷新令牌无效或已失效，请重新登录', code: StatusCode.UNAUTHORIZED });
+        }
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 登出 (吊销当前会话)
+ * POST /api/auth/logout
+ * Body: { all: true } 时吊销该用户的全部会话 (退出所有设备)
+ */
+router.post('/auth/logout', authenticate, async (req, res) => {
+    try {
+        if (parseFlag(req.body.all)) {
+            const count = await session.revokeAll(req.user.id);
+            return res.json({ success: true, message: `已退出全部 ${count} 个会话` });
+        }
+        await session.revoke(req.sessionId);
+        res.json({ success: true, message: '已退出登录' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 /**
  * 获取 API 调用日志
  * GET /api/logs
@@ -185,11 +264,12 @@ router.get('/logs', authenticate, async (req, res) => {
 /**
  * 获取 Notion API 密钥等全局信息
  * GET /api/configs
+ * 密钥类配置只返回掩码 (如 ****ab12)
  */
 router.get('/configs', authenticate, async (req, res) => {
     try {
         const configs = await db.getAllConfigs(req.user.id);
-        res.json({ success: true, data: configs });
+        res.json({ success: true, data: secrets.maskConfigs(configs) });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -226,6 +306,55 @@ router.post('/me/profile', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * 个人访问令牌列表 (不含令牌明文)
+ * GET /api/me/tokens
+ * 返回 { tokens, scopes }，scopes 为可用的权限范围及说明
+ */
+router.get('/me/tokens', authenticate, async (req, res) => {
+    try {
+        const tokens = await accessTokens.list(req.user.id);
+        res.json({ success: true, data: { tokens, scopes: accessTokens.SCOPES } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 创建个人访问令牌
+ * POST /api/me/tokens
+ * Body: { name, scopes: ['data:read', ...], expiresInDays } expiresInDays 为空表示永不过期
+ * 令牌明文只在本次响应中返回
+ */
+router.post('/me/tokens', authenticate, async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+    try {
+        const created = await accessTokens.create(req.user.id, { name, scopes, expiresInDays });
+        res.json({ success: true, message: '访问令牌已创建，请妥善保存，令牌只显示这一次', data: created });
+    } catch (error) {
+        if (error.code === 'INVALID_ACCESS_TOKEN') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 吊销个人访问令牌
+ * DELETE /api/me/tokens/:id
+ */
+router.delete('/me/tokens/:id', authenticate, async (req, res) => {
+    try {
+        const revoked = await accessTokens.revoke(req.user.id, req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: '访问令牌不存在或已吊销' });
+        }
+        res.json({ success: true, message: '访问令牌已吊销' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 /**
  * 上传头像
  * POST /api/upload/avatar
@@ -249,26 +378,45 @@ router.post('/upload/avatar', authenticate, upload.single('avatar'), async (req,
  * POST /api/config
  */
 router.post('/config', authenticate, async (req, res) => {
-    const { apiKey, version, syncSchedule } = req.body;
+    const { apiKey, version, syncSchedule, detailSyncConcurrency, webhookSecret, timezone: timeZone } = req.body;
 
     try {
-        if (apiKey !== undefined) await db.updateConfig(req.user.id, 'notion_api_key', apiKey);
+        // 回显的掩码原样提交时视为未修改
+        if (apiKey !== undefined && !secrets.isMasked(apiKey)) await db.updateConfig(req.user.id, 'notion_api_key', apiKey);
         if (version !== undefined) await db.updateConfig(req.user.id, 'notion_version', version);
+        // 清空后 Webhook 事件一律按签名失败拒绝，直到重新确认验证令牌
+        if (webhookSecret !== undefined && !secrets.isMasked(webhookSecret)) await db.updateConfig(req.user.id, 'notion_webhook_secret', webhookSecret || '');
+
+        if (detailSyncConcurrency !== undefined) {
+            const concurrency = parseInt(detailSyncConcurrency);
+            if (isNaN(concurrency) || concurrency < 1 || concurrency > SyncEngine.MAX_DETAIL_CONCURRENCY) {
+                return res.status(400).json({ success: false, message: `detailSyncConcurrency 必须是 1-${SyncEngine.MAX_DETAIL_CONCURRENCY} 之间的整数` });
+            }
+            await db.updateConfig(req.user.id, 'detail_sync_concurrency', String(concurrency));
+        }
+
+        if (timeZone !== undefined) {
+            // 同步表中的日期按该时区保存，图表按该时区的自然日统计
+            if (timeZone && !timezone.isValidTimeZone(timeZone)) {
+                return res.status(400).json({ success: false, message: '无效的时区' });
+            }
+            const configs = await db.getAllConfigs(req.user.id);
+            if ((configs.timezone || '') !== (timeZone || '')) {
+                await db.updateConfig(req.user.id, 'timezone', timeZone || '');
+                // 已同步的日期仍是旧时区的时间，清除水位线使下次同步全量重写
+                await db.query('UPDATE notion_sync_targets SET last_edited_watermark = NULL WHERE user_id = ?', [req.user.id]);
+            }
+        }
 
         if (syncSchedule !== undefined) {
-            // 验证 cron 表达式
-            const cron = require('node-cron');
-            const scheduler = require('../lib/scheduler');
-
-            if (syncSchedule === '' || syncSchedule === null) {
-                await db.updateConfig(req.user.id, 'sync_schedule', '');
-                scheduler.stopSync(req.user.id);
-            } else if (cron.validate(syncSchedule)) {
-                await db.updateConfig(req.user.id, 'sync_schedule', syncSchedule);
-                scheduler.scheduleSync(req.user.id, syncSchedule);
-            } else {
-                return res.status(400).json({ success: false, message: '无效的 Cron 表达式' });
+            // 用户级定时同步作为未单独配置 cron 的数据库的默认计划
+            const scheduleError = syncSchedule ? scheduler.validateSchedule(syncSchedule) : null;
+            if (scheduleError) {
+                return res.status(400).json({ success: false, message: scheduleError });
             }
+
+            await db.updateConfig(req.user.id, 'sync_schedule', syncSchedule || '');
+            await scheduler.refreshUser(req.user.id);
         }
 
         res.json({ success: true, message: '配置已更新' });
@@ -277,16 +425,78 @@ router.post('/config', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * 待确认的 Webhook 验证令牌
+ * GET /api/config/webhook/pending
+ * 与 Notion 订阅对应时填入 Notion 完成验证，再调用 confirm 保存为签名密钥
+ */
+router.get('/config/webhook/pending', authenticate, async (req, res) => {
+    try {
+        const pending = await webhook.getPendingToken(req.user.id);
+        res.json({ success: true, data: pending });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 丢弃待确认的 Webhook 验证令牌
+ * DELETE /api/config/webhook/pending
+ * 待确认令牌不是 Notion 发送的时调用，之后在 Notion 中重新发送验证令牌
+ */
+router.delete('/config/webhook/pending', authenticate, async (req, res) => {
+    try {
+        await webhook.clearPendingToken(req.user.id);
+        res.json({ success: true, message: '待确认的验证令牌已丢弃' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 确认 Webhook 验证令牌
+ * POST /api/config/webhook/confirm
+ * Body: { verificationToken } 必须是 Notion 已发送到本服务的待确认令牌
+ */
+router.post('/config/webhook/confirm', authenticate, async (req, res) => {
+    try {
+        const confirmed = await webhook.confirmPendingToken(req.user.id, req.body.verificationToken);
+        if (!confirmed) {
+            return res.status(400).json({ success: false, message: '验证令牌与待确认令牌不一致或已过期' });
+        }
+        res.json({ success: true, message: 'Webhook 签名密钥已保存' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 /**
  * 添加需要同步的数据库
  * POST /api/databases
  */
 router.post('/databases', authenticate, async (req, res) => {
-    const { databaseId, name } = req.body;
+    const { databaseId, name, syncCron, syncTimezone } = req.body;
     if (!databaseId) return res.status(400).json({ success: false, message: '缺少 databaseId' });
 
+    const scheduleError = scheduler.validateSchedule(syncCron, syncTimezone);
+    if (scheduleError) {
+        return res.status(400).json({ success: false, message: scheduleError });
+    }
+
     try {
-        await db.query('INSERT INTO notion_sync_targets (user_id, database_id, name) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE name = VALUES(name)', [req.user.id, databaseId, name]);
+        // 重复添加已有的数据库时只更新传入的字段，未传 syncCron / syncTimezone 时保留原有的定时计划
+        const updates = ['name = VALUES(name)'];
+        if (syncCron !== undefined) updates.push('sync_cron = VALUES(sync_cron)');
+        if (syncTimezone !== undefined) updates.push('sync_timezone = VALUES(sync_timezone)');
+        await db.query(
+            `INSERT INTO notion_sync_targets (user_id, database_id, name, sync_cron, sync_timezone) VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE ${updates.join(', ')}`,
+            [req.user.id, databaseId, name, syncCron || null, syncTimezone || null]
+        );
+
+        const targets = await db.query('SELECT id FROM notion_sync_targets WHERE user_id = ? AND database_id = ?', [req.user.id, databaseId]);
+        await scheduler.refreshTarget(targets[0].id);
+
         res.json({ success: true, message: '数据库已添加' });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
@@ -301,50 +511,34 @@ router.get('/databases', authenticate, async (req, res) => {
     try {
         const targets = await db.query('SELECT * FROM notion_sync_targets WHERE user_id = ?', [req.user.id]);
 
-        // 为每个数据库目标获取实时数据总量
+        // 为每个数据库目标获取实时数据总量 (多数据源时累加各数据源的表)
         const dataWithCounts = await Promise.all(targets.map(async (target) => {
             try {
-                // 1. 确定表名 (优先使用数据源名称，回退到数据库ID命名)
-                const dsInfo = await db.query('SELECT name FROM notion_data_sources WHERE database_id = ? AND user_id = ? ORDER BY created_at DESC LIMIT 1', [target.database_id, req.user.id]);
-
-                let tableName;
-                if (dsInfo.length > 0 && dsInfo[0].name) {
-                    tableName = NotionClient.generateTableName(req.user.id, dsInfo[0].name);
-                } else {
-                    tableName = `user_${req.user.id}_notion_data_${target.database_id.replace(/-/g, '_')}`;
-                }
+                const dataSources = await tables.list(req.user.id, target.database_id);
+                const tableNames = [...new Set(dataSources.map(ds => ds.tableName))];
 
-                // 2. 检查表是否存在，如果不存在则直接设为 0，避免触发 db.query 的内部错误日志
-                let totalCount = 0;
-                try {
+                // 检查表是否存在，如果不存在则直接计为 0，避免触发 db.query 的内部错误日志
+                const countTable = async (tableName) => {
                     const tableCheck = await db.query(
                         "SELECT COUNT(*) as exists_count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?",
                         [tableName]
                     );
+                    if (tableCheck[0].exists_count === 0) return null;
+                    const countResult = await db.query(`SELECT COUNT(*) as total FROM \`${tableName}\``);
+                    return Number(countResult[0].total || 0);
+                };
 
-                    if (tableCheck[0].exists_count > 0) {
-                        const countResult = await db.query(`SELECT COUNT(*) as total FROM \`${tableName}\``);
-                        totalCount = Number(countResult[0].total || 0);
-                    } else {
-                        // 如果第一个表名不存在，检查备用表名
-                        const fallbackTableName = `user_${req.user.id}_notion_data_${target.database_id.replace(/-/g, '_')}`;
-                        if (fallbackTableName !== tableName) {
-                            const fallbackCheck = await db.query(
-                                "SELECT COUNT(*) as exists_count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?",
-                                [fallbackTableName]
-                            );
-                            if (fallbackCheck[0].exists_count > 0) {
-                                const countResult = await db.query(`SELECT COUNT(*) as total FROM \`${fallbackTableName}\``);
-                                totalCount = Number(countResult[0].total || 0);
-                            }
-                        }
+                let totalCount = 0;
+                try {
+                    for (const tableName of tableNames) {
+                        totalCount += (await countTable(tableName)) || 0;
                     }
                 } catch (err) {
                     console.error(`Metadata check failed for ${target.database_id}:`, err);
                     totalCount = 0;
                 }
 
-                return { ...target, total_count: totalCount };
+                return { ...target, total_count: totalCount, data_source_count: dataSources.length };
             } catch (err) {
                 console.error(`Failed to get count for ${target.database_id}:`, err);
                 return { ...target, total_count: 0 };
@@ -376,8 +570,9 @@ router.delete('/databases/:id', authenticate, async (req, res) => {
         }
         const databaseId = targets[0].database_id;
 
-        // 1. 删除同步目标配置
+        // 1. 删除同步目标配置及其定时任务
         await db.query('DELETE FROM notion_sync_targets WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        scheduler.stopTarget(Number(req.params.id));
 
         // 2. 删除该数据库关联的所有数据源记录
         await db.query('DELETE FROM notion_data_sources WHERE database_id = ? AND user_id = ?', [databaseId, req.user.id]);
@@ -401,45 +596,423 @@ router.put('/databases/:id/status', authenticate, async (req, res) => {
         if (result.affectedRows === 0) {
             return res.status(404).json({ success: false, message: '配置不存在或无权操作' });
         }
+        // 停用时移除定时任务，启用时按配置恢复
+        await scheduler.refreshTarget(Number(req.params.id));
         res.json({ success: true, message: status ? '同步已启用' : '同步已停用' });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
+/**
+ * 更新数据库同步设置
+ * PUT /api/databases/:id/settings
+ * 支持字段:
+ * - deletionMode: soft 标记删除 / hard 物理删除
+ * - syncCron: 该数据库的定时同步 cron 表达式，传空值时改用用户级 syncSchedule
+ * - syncTimezone: cron 表达式使用的时区，如 Asia/Shanghai
+ * - historyEnabled: 是否在 <表名>_history 中记录行变更历史
+ * - shadowSync: 全量同步是否先写入影子表，校验后整表替换
+ * - queryFilter / querySorts: 同步时传给 Notion 查询的 filter / sorts，传 null 清除；按数据源结构校验，修改后下次同步全量拉取
+ */
+router.put('/databases/:id/settings', authenticate, async (req, res) => {
+    const { deletionMode, syncCron, syncTimezone, historyEnabled, shadowSync, queryFilter: filter, querySorts: sorts } = req.body;
+    const updates = {};
+
+    if (deletionMode !== undefined) {
+        if (!['soft', 'hard'].includes(deletionMode)) {
+            return res.status(400).json({ success: false, message: 'deletionMode 只能为 soft 或 hard' });
+        }
+        updates.deletion_mode = deletionMode;
+    }
+
+    if (historyEnabled !== undefined) {
+        updates.history_enabled = parseFlag(historyEnabled) ? 1 : 0;
+    }
+
+    if (shadowSync !== undefined) {
+        updates.shadow_sync = parseFlag(shadowSync) ? 1 : 0;
+    }
+
+    if (syncCron !== undefined || syncTimezone !== undefined) {
+        const scheduleError = scheduler.validateSchedule(syncCron, syncTimezone);
+        if (scheduleError) {
+            return res.status(400).json({ success: false, message: scheduleError });
+        }
+        if (syncCron !== undefined) updates.sync_cron = syncCron || null;
+        if (syncTimezone !== undefined) updates.sync_timezone = syncTimezone || null;
+    }
+
+    if (filter !== undefined || sorts !== undefined) {
+        if (filter !== undefined) updates.query_filter = filter ? JSON.stringify(filter) : null;
+        if (sorts !== undefined) updates.query_sorts = sorts && sorts.length > 0 ? JSON.stringify(sorts) : null;
+        // 条件变化后，已同步但不再满足条件的记录需要通过一次全量同步移除
+        updates.last_edited_watermark = null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ success: false, message: '没有需要更新的设置' });
+    }
+
+    try {
+        if (filter || sorts) {
+            const targets = await db.query('SELECT * FROM notion_sync_targets WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+            if (targets.length === 0) {
+                return res.status(404).json({ success: false, message: '配置不存在或无权操作' });
+            }
+            const configs = await db.getAllConfigs(req.user.id);
+            if (!configs.notion_api_key) {
+                return res.status(400).json({ success: false, message: '未配置 Notion API Key，无法校验查询条件' });
+            }
+
+            // 同一条件会用于数据库下的每个数据源，需对每个数据源都有效
+            const notion = new NotionClient(req.user.id, configs.notion_api_key, configs.notion_version || '2025-09-03');
+            const current = queryFilter.fromTarget(targets[0]);
+            const dbInfo = await notion.getDatabase(targets[0].database_id);
+            for (const ds of dbInfo.data_sources || []) {
+                const structure = await notion.getDataSourceStructure(ds.id);
+                queryFilter.validate(
+                    filter !== undefined ? filter || null : current.filter,
+                    sorts !== undefined ? sorts || null : current.sorts,
+                    structure.properties || {}
+                );
+            }
+        }
+
+        const fields = Object.keys(updates).map(key => `\`${key}\` = ?`).join(', ');
+        const result = await db.query(
+            `UPDATE notion_sync_targets SET ${fields} WHERE id = ? AND user_id = ?`,
+            [...Object.values(updates), req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: '配置不存在或无权操作' });
+        }
+        if (updates.sync_cron !== undefined || updates.sync_timezone !== undefined) {
+            await scheduler.refreshTarget(Number(req.params.id));
+        }
+        res.json({ success: true, message: '同步设置已更新' });
+    } catch (error) {
+        if (error.code === 'INVALID_QUERY_FILTER') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 查看字段映射覆盖
+ * GET /api/databases/:id/field-overrides
+ * Query: dataSourceId 可选，默认列出该数据库已同步的全部数据源
+ * 返回每个数据源的 Notion 属性、默认生成的字段名及当前的覆盖配置
+ */
+router.get('/databases/:id/field-overrides', authenticate, async (req, res) => {
+    const { dataSourceId } = req.query;
+
+    try {
+        const targets = await db.query('SELECT * FROM notion_sync_targets WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (targets.length === 0) {
+            return res.status(404).json({ success: false, message: '配置不存在或无权操作' });
+        }
+        const target = targets[0];
+
+        const dataSources = (await tables.list(req.user.id, target.database_id))
+            .filter(ds => !dataSourceId || ds.data_source_id === dataSourceId);
+        if (dataSources.length === 0) {
+            return res.status(404).json({ success: false, message: dataSourceId ? '数据源不存在或不属于该数据库' : '该数据库尚未同步' });
+        }
+
+        const configs = await db.getAllConfigs(req.user.id);
+        if (!configs.notion_api_key) {
+            return res.status(400).json({ success: false, message: '未配置 Notion API Key' });
+        }
+        const notion = new NotionClient(req.user.id, configs.notion_api_key, configs.notion_version || '2025-09-03');
+
+        const data = [];
+        for (const ds of dataSources) {
+            const structure = await notion.getDataSourceStructure(ds.data_source_id);
+            const properties = structure.properties || {};
+            const defaults = notion.mapNotionToMysql(properties).mapping;
+            const overrides = await fieldOverrides.load(target.id, ds.data_source_id);
+
+            data.push({
+                dataSourceId: ds.data_source_id,
+                tableName: ds.tableName,
+                properties: Object.entries(properties).map(([name, prop]) => ({
+                    propertyId: prop.id,
+                    name,
+                    type: prop.type,
+                    defaultColumn: defaults[name],
+                    override: overrides[prop.id] || null
+                }))
+            });
+        }
+
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 保存字段映射覆盖 (替换该数据源的全部覆盖配置)
+ * PUT /api/databases/:id/field-overrides
+ * Body: { dataSourceId, overrides: [{ propertyId, columnName, columnType, excluded }] }
+ * - columnName: 自定义字段名 (小写字母、数字、下划线)
+ * - columnType: 强制字段类型，如 VARCHAR(100)、INT、DECIMAL(10,2)，需能容纳该属性的值
+ * - excluded: 为 true 时不同步该属性，已有字段在下次同步时删除
+ * 下一次同步或刷新表结构时生效
+ */
+router.put('/databases/:id/field-overrides', authenticate, async (req, res) => {
+    const { dataSourceId, overrides } = req.body;
+    if (!dataSourceId) {
+        return res.status(400).json({ success: false, message: '缺少 dataSourceId 参数' });
+    }
+
+    try {
+        const targets = await db.query('SELECT * FROM notion_sync_targets WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (targets.length === 0) {
+            return res.status(404).json({ success: false, message: '配置不存在或无权操作' });
+        }
+        const target = targets[0];
+
+        if (!(await tables.findDataSource(req.user.id, target.database_id, dataSourceId))) {
+            return res.status(404).json({ success: false, message: '数据源不存在或不属于该数据库' });
+        }
+
+        const configs = await db.getAllConfigs(req.user.id);
+        if (!configs.notion_api_key) {
+            return res.status(400).json({ success: false, message: '未配置 Notion API Key' });
+        }
+        // 按当前的属性结构检查覆盖的属性是否存在、强制类型能否容纳属性值
+        const notion = new NotionClient(req.user.id, configs.notion_api_key, configs.notion_version || '2025-09-03');
+        const structure = await notion.getDataSourceStructure(dataSourceId);
+
+        const saved = await fieldOverrides.replace(target.id, dataSourceId, overrides || [], structure.properties || {});
+        const message = saved.some(item => item.excluded)
+            ? '字段映射已保存，将在下次同步时生效；排除属性的字段届时从同步表、行变更历史与上一代数据中删除'
+            : '字段映射已保存，将在下次同步时生效';
+        res.json({ success: true, message, data: saved });
+    } catch (error) {
+        if (error.code === 'INVALID_OVERRIDE') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 将数据库的同步表回滚到上一次影子表同步前的数据 (管理员)
+ * POST /api/databases/:id/rollback
+ * Body: { dataSourceId } 多数据源数据库时指定回滚哪一个
+ * 当前数据与上一代互换，再次调用即可撤销回滚
+ */
+router.post('/databases/:id/rollback', authenticate, isAdmin, async (req, res) => {
+    const { dataSourceId } = req.body;
+
+    try {
+        const targets = await db.query('SELECT * FROM notion_sync_targets WHERE id = ?', [req.params.id]);
+        if (targets.length === 0) {
+            return res.status(404).json({ success: false, message: '配置不存在' });
+        }
+        const target = targets[0];
+
+        const resolved = await tables.resolve(target.user_id, target.database_id, dataSourceId);
+        if (!resolved) {
+            return res.status(404).json({ success: false, message: dataSourceId ? '数据源不存在或不属于该数据库' : '该数据库尚未同步' });
+        }
+        const { tableName } = resolved;
+
+        // 通过同步队列占用该数据库，回滚期间不会开始写入影子表或替换表的同步任务
+        const result = await syncQueue.runExclusive(target.user_id, target.database_id, async () => {
+            const rolledBack = await schema.rollbackTable(tableName);
+            // 回滚后的数据早于水位线，下次同步需全量拉取
+            await db.query('UPDATE notion_sync_targets SET last_edited_watermark = NULL WHERE id = ?', [target.id]);
+            return rolledBack;
+        });
+
+        res.json({ success: true, message: '已回滚到上一次同步的数据', data: result });
+    } catch (error) {
+        if (error.code === 'SYNC_JOB_ACTIVE') {
+            return res.status(409).json({ success: false, message: `该数据库有排队中或执行中的同步任务 (#${error.job.id})，请等待完成或取消后再回滚` });
+        }
+        if (error.code === 'DATABASE_BUSY') {
+            return res.status(409).json({ success: false, message: '该数据库正在回滚，请稍后再试' });
+        }
+        if (error.code === 'NO_PREVIOUS_TABLE') {
+            return res.status(404).json({ success: false, message: '没有可回滚的上一代数据 (需开启 shadowSync 并完成一次全量同步)' });
+        }
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 /**
  * 触发同步 (所有启用数据库)
  * POST /api/sync
+ * 同步在后台任务队列中执行，接口立即返回任务 ID
  */
 router.post('/sync', authenticate, async (req, res) => {
     try {
-        const result = await SyncEngine.run(req.user.id);
-        res.json({ success: true, message: '同步完成', data: result });
+        const hasPermission = await Auth.checkPermission(req.user.id, 'sync:notion');
+        if (!hasPermission) {
+            return res.status(403).json({ success: false, message: '无同步数据权限 (sync:notion)' });
+        }
+
+        const { jobId, existing } = await syncQueue.enqueue(req.user.id, { trigger: 'manual' });
+        res.json({ success: true, message: existing ? '已有相同的同步任务在排队' : '同步任务已加入队列', data: { jobId } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 接收 Notion Webhook 事件 (公开接口，通过签名校验)
+ * POST /api/webhooks/notion/:userId
+ * 创建订阅时 Notion 会先发送 { verification_token }，只记录为待确认令牌，需用户登录后通过 POST /api/config/webhook/confirm 确认；
+ * 之后的事件需携带 X-Notion-Signature，校验通过后将对应页面或数据源的同步加入队列
+ * 用户不存在、未配置密钥与签名错误返回相同的响应，避免探测用户 ID
+ */
+router.post('/webhooks/notion/:userId', async (req, res) => {
+    const userId = parseInt(req.params.userId);
+    const body = req.body || {};
+
+    try {
+        const user = isNaN(userId) ? null : await Auth.getUser(userId);
+
+        if (body.verification_token) {
+            if (user) {
+                const added = await webhook.addPendingToken(userId, body.verification_token);
+                console.log(added
+                    ? `[Webhook] Verification token received for user ${userId}, waiting for confirmation`
+                    : `[Webhook] Verification token for user ${userId} ignored, another token is pending`);
+            }
+            return res.json({ success: true, message: '验证令牌已接收，请登录后确认' });
+        }
+
+        const secret = user ? await db.getConfig(userId, 'notion_webhook_secret') : null;
+        if (!secret || !webhook.verifySignature(req.rawBody, req.headers['x-notion-signature'], secret)) {
+            return res.status(401).json({ success: false, message: '签名校验失败' });
+        }
+
+        const result = await webhook.handleEvent(userId, body);
+        res.json({ success: true, message: result.queued ? '同步任务已加入队列' : '事件已忽略', data: result });
+    } catch (error) {
+        console.error('Notion webhook error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 获取同步任务列表
+ * GET /api/sync/jobs
+ * 支持可选参数: status, limit, offset
+ */
+router.get('/sync/jobs', authenticate, async (req, res) => {
+    const { status, limit = 20, offset = 0 } = req.query;
+    try {
+        const { total, data } = await syncQueue.listJobs(req.user.id, { status, limit, offset });
+        res.json({ success: true, total, limit: parseInt(limit), offset: parseInt(offset), data });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 获取单个同步任务 (含各数据库的进度)
+ * GET /api/sync/jobs/:jobId
+ */
+router.get('/sync/jobs/:jobId', authenticate, async (req, res) => {
+    try {
+        const job = await syncQueue.getJob(req.user.id, req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ success: false, message: '同步任务不存在' });
+        }
+        res.json({ success: true, data: job });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 取消同步任务
+ * POST /api/sync/jobs/:jobId/cancel
+ */
+router.post('/sync/jobs/:jobId/cancel', authenticate, async (req, res) => {
+    try {
+        const job = await syncQueue.cancelJob(req.user.id, req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ success: false, message: '同步任务不存在' });
+        }
+        if (!['queued', 'running', 'cancelled'].includes(job.status)) {
+            return res.status(400).json({ success: false, message: `任务已结束 (${job.status})，无法取消`, data: job });
+        }
+        res.json({ success: true, message: job.status === 'cancelled' ? '任务已取消' : '已请求取消，任务将在当前分页完成后停止', data: job });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 重试失败或已取消的同步任务
+ * POST /api/sync/jobs/:jobId/retry
+ */
+router.post('/sync/jobs/:jobId/retry', authenticate, async (req, res) => {
+    try {
+        const retried = await syncQueue.retryJob(req.user.id, req.params.jobId);
+        if (!retried) {
+            return res.status(404).json({ success: false, message: '同步任务不存在' });
+        }
+        res.json({ success: true, message: '重试任务已加入队列', data: { jobId: retried.jobId } });
     } catch (error) {
-        res.status(403).json({ success: false, message: error.message });
+        if (error.code === 'INVALID_JOB_STATUS') {
+            return res.status(400).json({ success: false, message: '只能重试失败或已取消的任务' });
+        }
+        res.status(500).json({ success: false, message: error.message });
     }
 });
 
 /**
  * 触发同步 (指定单个数据库)
  * POST /api/sync/:databaseId
+ * 默认增量同步，传入 full=true (body 或 query) 时忽略水位线执行全量同步
+ * 同步在后台任务队列中执行，接口立即返回任务 ID
+ * dryRun=true 时不入队，直接返回预演报告 (将新增、修改、删除的行，表结构变更，被排除或转为文本的属性)，不写入 MySQL
  */
 router.post('/sync/:databaseId', authenticate, async (req, res) => {
     const { databaseId } = req.params;
+    const fullSync = parseFlag(req.body.full !== undefined ? req.body.full : req.query.full);
+    const dryRun = parseFlag(req.body.dryRun !== undefined ? req.body.dryRun : req.query.dryRun);
     try {
-        const result = await SyncEngine.run(req.user.id, databaseId);
-        res.json({ success: true, message: `数据库 ${databaseId} 同步完成`, data: result });
+        const hasPermission = await Auth.checkPermission(req.user.id, 'sync:notion');
+        if (!hasPermission) {
+            return res.status(403).json({ success: false, message: '无同步数据权限 (sync:notion)' });
+        }
+
+        if (dryRun) {
+            const dataSourceId = req.body.dataSourceId || req.query.dataSourceId || null;
+            const report = await SyncEngine.dryRun(req.user.id, databaseId, { fullSync, dataSourceId });
+            return res.json({ success: true, message: `数据库 ${databaseId} 的同步预演结果 (未写入数据)`, data: report });
+        }
+
+        const { jobId, existing } = await syncQueue.enqueue(req.user.id, { databaseId, fullSync, trigger: 'manual' });
+        res.json({
+            success: true,
+            message: existing ? `数据库 ${databaseId} 已有相同的同步任务在排队` : `数据库 ${databaseId} 的同步任务已加入队列`,
+            data: { jobId }
+        });
     } catch (error) {
-        res.status(403).json({ success: false, message: error.message });
+        res.status(500).json({ success: false, message: error.message });
     }
 });
 
 /**
  * 更新数据库表字段 (从 Notion 同步结构)
  * POST /api/databases/:databaseId/refresh-schema
+ * 通过 ALTER TABLE 增删改字段并保留已同步数据；preview=true 时只返回计划执行的语句
+ * 默认处理该数据库的全部数据源，可通过 dataSourceId 指定单个数据源
  */
 router.post('/databases/:databaseId/refresh-schema', authenticate, async (req, res) => {
     const { databaseId } = req.params;
+    const preview = parseFlag(req.body.preview !== undefined ? req.body.preview : req.query.preview);
 
     try {
         // 权限验证
@@ -448,21 +1021,22 @@ router.post('/databases/:databaseId/refresh-schema', authenticate, async (req, r
             return res.status(403).json({ success: false, message: '无同步数据权限 (sync:notion)' });
         }
 
-        // 1. 查找数据源 ID
-        const dsInfo = await db.query('SELECT data_source_id, name FROM notion_data_sources WHERE database_id = ? AND user_id = ? ORDER BY created_at DESC LIMIT 1', [databaseId, req.user.id]);
+        // 1. 查找数据源 ID (未指定 dataSourceId 时处理该数据库的全部数据源)
+        const dataSourceId = req.body.dataSourceId || req.query.dataSourceId || null;
+        const dsInfo = dataSourceId
+            ? await db.query('SELECT data_source_id, name FROM notion_data_sources WHERE database_id = ? AND user_id = ? AND data_source_id = ?', [databaseId, req.user.id, dataSourceId])
+            : await db.query('SELECT data_source_id, name FROM notion_data_sources WHERE database_id = ? AND user_id = ? ORDER BY created_at ASC', [databaseId, req.user.id]);
 
         if (dsInfo.length === 0) {
             return res.status(404).json({ success: false, message: '未找到关联的数据源，请先执行一次同步' });
         }
 
         // 状态验证
-        const statusCheck = await db.query('SELECT status FROM notion_sync_targets WHERE database_id = ? AND user_id = ?', [databaseId, req.user.id]);
+        const statusCheck = await db.query('SELECT id, status FROM notion_sync_targets WHERE database_id = ? AND user_id = ?', [databaseId, req.user.id]);
         if (statusCheck.length > 0 && statusCheck[0].status === 0) {
             return res.status(403).json({ success: false, message: '该数据库链路已挂起，无法更新结构' });
         }
-
-        const dataSourceId = dsInfo[0].data_source_id;
-        const dsName = dsInfo[0].name;
+        const targetId = statusCheck.length > 0 ? statusCheck[0].id : null;
 
         // 2. 获取 Notion 配置
         const configs = await db.getAllConfigs(req.user.id);
@@ -474,27 +1048,30 @@ router.post('/databases/:databaseId/refresh-schema', authenticate, async (req, r
         }
 
         const notion = new NotionClient(req.user.id, apiKey, notionVersion);
+        const plans = [];
 
-        // 3. 获取最新结构
-        const structure = await notion.getDataSourceStructure(dataSourceId);
-        const properties = structure.properties;
-        const dsTitle = structure.title || dsName || 'notion_data';
-
-        // 4. 映射字段
-        const tableName = NotionClient.generateTableName(req.user.id, dsTitle);
-        const { columns } = notion.mapNotionToMysql(properties);
+        for (const ds of dsInfo) {
+            // 3. 获取最新结构
+            const structure = await notion.getDataSourceStructure(ds.data_source_id);
+            const properties = structure.properties;
+            const dsTitle = structure.title || ds.name || 'notion_data';
 
-        // 5. 更新表结构 (简单起见，使用先删后建模式，后续可优化为 ALTER TABLE)
-        await db.query(`DROP TABLE IF EXISTS \`${tableName}\``);
+            // 4. 映射字段 (标题变化时先重命名已有的表，预览时不改名)
+            const tableName = await tables.register(req.user.id, databaseId, { id: ds.data_source_id, name: ds.name }, dsTitle, { preview });
+            const overrides = await fieldOverrides.load(targetId, ds.data_source_id);
+            const mapped = await SyncEngine.mapDataSource(notion, tableName, ds.data_source_id, properties, overrides);
 
-        const createTableSql = `CREATE TABLE \`${tableName}\` (
-            ${columns.join(', ')},
-            \`synced_at\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
-
-        await db.query(createTableSql);
+            // 5. 对比现有字段并迁移表结构
+            const plan = await schema.migrate(tableName, mapped, { preview });
+            plans.push({ dataSourceId: ds.data_source_id, ...plan });
+        }
 
-        res.json({ success: true, message: `表 ${tableName} 字段已成功更新` });
+        const tableNames = plans.map(p => p.tableName).join(', ');
+        res.json({
+            success: true,
+            message: preview ? `表 ${tableNames} 的结构变更预览` : `表 ${tableNames} 字段已成功更新`,
+            data: plans
+        });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -504,6 +1081,7 @@ router.post('/databases/:databaseId/refresh-schema', authenticate, async (req, r
  * 查询特定同步数据库里的数据
  * GET /api/data/:databaseId
  * 支持分页参数: page, limit, search, filters (JSON string)
+ * 多数据源数据库可通过 dataSourceId 指定数据源，默认取最近添加的数据源
  */
 router.get('/data/:databaseId', authenticate, async (req, res) => {
     const { databaseId } = req.params;
@@ -523,14 +1101,14 @@ router.get('/data/:databaseId', authenticate, async (req, res) => {
             return res.status(403).json({ success: false, message: '该数据库链路已挂起，无法访问数据' });
         }
 
-        const dsInfo = await db.query('SELECT name FROM notion_data_sources WHERE database_id = ? AND user_id = ? ORDER BY created_at DESC LIMIT 1', [databaseId, req.user.id]);
-
-        let tableName;
-        if (dsInfo.length > 0 && dsInfo[0].name) {
-            tableName = NotionClient.generateTableName(req.user.id, dsInfo[0].name);
-        } else {
-            tableName = `user_${req.user.id}_notion_data_${databaseId.replace(/-/g, '_')}`;
+        const resolved = await tables.resolve(req.user.id, databaseId, req.query.dataSourceId);
+        if (!resolved) {
+            return res.status(404).json({
+                success: false,
+                message: req.query.dataSourceId ? '数据源不存在或不属于该数据库' : '该数据库尚未同步或对应的 MySQL 表不存在'
+            });
         }
+        const { dataSource, tableName } = resolved;
 
         const checkTableSql = `SELECT COUNT(*) as count FROM information_schema.tables WHERE table_name = ? AND table_schema = DATABASE()`;
         const tableExists = await db.query(checkTableSql, [tableName]);
@@ -547,10 +1125,17 @@ router.get('/data/:databaseId', authenticate, async (req, res) => {
         const columnsInfo = await db.query(`SHOW COLUMNS FROM \`${tableName}\``);
         const validColumns = columnsInfo.map(c => c.Field);
 
+        // 默认隐藏已在 Notion 中删除的记录，includeDeleted=1 时一并返回
+        const includeDeleted = req.query.includeDeleted === '1' || req.query.includeDeleted === 'true';
+        if (!includeDeleted && validColumns.includes('is_deleted')) {
+            whereClause += ' WHERE `is_deleted` = 0';
+        }
+
         // 2. 处理全局搜索
         if (search) {
             const searchConditions = validColumns.map(col => `\`${col}\` LIKE ?`).join(' OR ');
-            whereClause += ` WHERE (${searchConditions})`;
+            whereClause += whereClause ? ' AND ' : ' WHERE ';
+            whereClause += `(${searchConditions})`;
             validColumns.forEach(() => queryParams.push(`%${search}%`));
         }
 
@@ -583,6 +1168,7 @@ router.get('/data/:databaseId', authenticate, async (req, res) => {
         res.json({
             success: true,
             data,
+            dataSourceId: dataSource ? dataSource.data_source_id : null,
             pagination: {
                 total,
                 page,
@@ -595,6 +1181,220 @@ router.get('/data/:databaseId', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * 获取一行通过关联属性关联的记录 (在用户的所有同步表中查找)
+ * GET /api/data/:databaseId/rows/:notionId/relations?dataSourceId=
+ * 返回按关联属性分组的列表，关联页面未同步到本地时 row 为 null
+ */
+router.get('/data/:databaseId/rows/:notionId/relations', authenticate, async (req, res) => {
+    const { databaseId, notionId } = req.params;
+
+    try {
+        const statusCheck = await db.query('SELECT status FROM notion_sync_targets WHERE database_id = ? AND user_id = ?', [databaseId, req.user.id]);
+        if (statusCheck.length === 0) {
+            return res.status(404).json({ success: false, message: '配置不存在或无权操作' });
+        }
+        if (statusCheck[0].status === 0) {
+            return res.status(403).json({ success: false, message: '该数据库链路已挂起，无法访问数据' });
+        }
+
+        const resolved = await tables.resolve(req.user.id, databaseId, req.query.dataSourceId);
+        if (!resolved) {
+            return res.status(404).json({
+                success: false,
+                message: req.query.dataSourceId ? '数据源不存在或不属于该数据库' : '该数据库尚未同步或对应的 MySQL 表不存在'
+            });
+        }
+        const { tableName } = resolved;
+        const relationTable = schema.relationTableName(tableName);
+
+        if (!(await schema.tableExists(relationTable))) {
+            return res.json({ success: true, data: [] });
+        }
+
+        const links = await db.query(
+            `SELECT property_id, property_name, related_id FROM \`${relationTable}\` WHERE source_id = ? ORDER BY property_id, position`,
+            [notionId]
+        );
+        if (links.length === 0) {
+            return res.json({ success: true, data: [] });
+        }
+
+        // 在用户的所有同步表中查找关联页面
+        const relatedIds = [...new Set(links.map(link => link.related_id))];
+        const placeholders = relatedIds.map(() => '?').join(', ');
+        const found = new Map();
+        const dataSources = await tables.list(req.user.id);
+
+        for (const ds of dataSources) {
+            const candidateTable = ds.tableName;
+            if (!(await schema.tableExists(candidateTable))) continue;
+
+            const rows = await db.query(
+                `SELECT * FROM \`${candidateTable}\` WHERE notion_id IN (${placeholders}) AND is_deleted = 0`,
+                relatedIds
+            );
+            rows.forEach(row => found.set(row.notion_id, {
+                databaseId: ds.database_id,
+                dataSourceId: ds.data_source_id,
+                tableName: candidateTable,
+                row
+            }));
+        }
+
+        // 按关联属性分组
+        const groups = new Map();
+        for (const link of links) {
+            if (!groups.has(link.property_id)) {
+                groups.set(link.property_id, { propertyId: link.property_id, propertyName: link.property_name, items: [] });
+            }
+            const match = found.get(link.related_id);
+            groups.get(link.property_id).items.push({
+                relatedId: link.related_id,
+                databaseId: match ? match.databaseId : null,
+                dataSourceId: match ? match.dataSourceId : null,
+                tableName: match ? match.tableName : null,
+                row: match ? match.row : null
+            });
+        }
+
+        res.json({ success: true, data: [...groups.values()] });
+    } catch (error) {
+        console.error('Get row relations error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 获取单行的变更历史 (字段级差异的时间线，最新的在前)
+ * GET /api/data/:databaseId/rows/:notionId/history?dataSourceId=&limit=50&beforeId=
+ * 数据库需在同步设置中开启 historyEnabled，开启之后的同步才会产生记录
+ */
+router.get('/data/:databaseId/rows/:notionId/history', authenticate, async (req, res) => {
+    const { databaseId, notionId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const beforeId = parseInt(req.query.beforeId) || null;
+
+    try {
+        const targets = await db.query('SELECT status, history_enabled FROM notion_sync_targets WHERE database_id = ? AND user_id = ?', [databaseId, req.user.id]);
+        if (targets.length === 0) {
+            return res.status(404).json({ success: false, message: '配置不存在或无权操作' });
+        }
+        if (targets[0].status === 0) {
+            return res.status(403).json({ success: false, message: '该数据库链路已挂起，无法访问数据' });
+        }
+
+        const resolved = await tables.resolve(req.user.id, databaseId, req.query.dataSourceId);
+        if (!resolved) {
+            return res.status(404).json({
+                success: false,
+                message: req.query.dataSourceId ? '数据源不存在或不属于该数据库' : '该数据库尚未同步或对应的 MySQL 表不存在'
+            });
+        }
+        const { tableName } = resolved;
+        const enabled = targets[0].history_enabled === 1;
+
+        const entries = await schema.tableExists(schema.historyTableName(tableName))
+            ? await history.getRowHistory(tableName, notionId, { limit, beforeId })
+            : [];
+
+        res.json({ success: true, data: { enabled, tableName, entries } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * 在 Notion 数据源中新建一行并同步到本地表
+ * POST /api/data/:databaseId/rows
+ * Body: { values: { MySQL 字段名: 值 }, dataSourceId }
+ */
+router.post('/data/:databaseId/rows', authenticate, async (req, res) => {
+    const { databaseId } = req.params;
+    const { values, dataSourceId } = req.body;
+
+    try {
+        const hasPermission = await Auth.checkPermission(req.user.id, 'data:write');
+        if (!hasPermission) {
+            return res.status(403).json({ success: false, message: '无编辑数据权限 (data:write)' });
+        }
+
+        const { error, target, dataSource, tableName } = await resolveWritableTable(req.user.id, databaseId, dataSourceId);
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        const configs = await db.getAllConfigs(req.user.id);
+        if (!configs.notion_api_key) {
+            return res.status(400).json({ success: false, message: '未配置 Notion API Key' });
+        }
+        const notion = new NotionClient(req.user.id, configs.notion_api_key, configs.notion_version || '2025-09-03');
+
+        const row = await writeBack.createRow(
+            notion,
+            {
+                tableName,
+                dataSourceId: dataSource.data_source_id,
+                timeZone: configs.timezone || null,
+                historyEnabled: target.history_enabled === 1
+            },
+            values
+        );
+
+        res.status(201).json({ success: true, message: '已在 Notion 中创建', data: row });
+    } catch (error) {
+        console.error('Create row error:', error);
+        sendWriteBackError(res, error);
+    }
+});
+
+/**
+ * 修改同步表中的一行并写回 Notion
+ * PUT /api/data/:databaseId/rows/:notionId
+ * Body: { values: { MySQL 字段名: 值 }, dataSourceId, force }
+ * Notion 中的记录在上次同步后被修改过时返回 409，force 为 true 时直接覆盖
+ */
+router.put('/data/:databaseId/rows/:notionId', authenticate, async (req, res) => {
+    const { databaseId, notionId } = req.params;
+    const { values, dataSourceId, force } = req.body;
+
+    try {
+        const hasPermission = await Auth.checkPermission(req.user.id, 'data:write');
+        if (!hasPermission) {
+            return res.status(403).json({ success: false, message: '无编辑数据权限 (data:write)' });
+        }
+
+        const { error, target, dataSource, tableName } = await resolveWritableTable(req.user.id, databaseId, dataSourceId);
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        const configs = await db.getAllConfigs(req.user.id);
+        if (!configs.notion_api_key) {
+            return res.status(400).json({ success: false, message: '未配置 Notion API Key' });
+        }
+        const notion = new NotionClient(req.user.id, configs.notion_api_key, configs.notion_version || '2025-09-03');
+
+        const row = await writeBack.updateRow(
+            notion,
+            {
+                tableName,
+                dataSourceId: dataSource.data_source_id,
+                timeZone: configs.timezone || null,
+                historyEnabled: target.history_enabled === 1
+            },
+            notionId,
+            values,
+            { force: parseFlag(force) }
+        );
+
+        res.json({ success: true, message: '已更新并写回 Notion', data: row });
+    } catch (error) {
+        console.error('Write back row error:', error);
+        sendWriteBackError(res, error);
+    }
+});
+
 /**
  * 获取存储在数据库中的 Notion 页面详情 (仅从 DB 读取)
  * GET /api/data/:databaseId/page/:pageId
@@ -609,21 +1409,13 @@ router.get('/data/:databaseId/page/:pageId', authenticate, async (req, res) => {
     const normalizedPageId = normalizeId(pageId);
 
     try {
-        // 1. 获取数据源名称以生成表名
-        const dsInfo = await db.query('SELECT name FROM notion_data_sources WHERE database_id = ? AND user_id = ? ORDER BY created_at DESC LIMIT 1', [databaseId, req.user.id]);
-
-        let baseTableName;
-        if (dsInfo.length > 0 && dsInfo[0].name) {
-            baseTableName = NotionClient.generateTableName(req.user.id, dsInfo[0].name);
-        } else {
-            baseTableName = `user_${req.user.id}_notion_data_${databaseId.replace(/-/g, '_')}`;
-        }
-
-        const detailTableName = baseTableName.replace(`_${req.user.id}`, `_detail_${req.user.id}`);
+        // 1. 从登记的表名得到详情表名
+        const resolved = await tables.resolve(req.user.id, databaseId, req.query.dataSourceId);
+        const detailTableName = resolved ? tables.detailTableName(req.user.id, resolved.tableName) : null;
 
         // 2. 检查表是否存在
         const checkTableSql = `SELECT COUNT(*) as count FROM information_schema.tables WHERE table_name = ? AND table_schema = DATABASE()`;
-        const tableExists = await db.query(checkTableSql, [detailTableName]);
+        const tableExists = detailTableName ? await db.query(checkTableSql, [detailTableName]) : [{ count: 0 }];
 
         if (tableExists[0].count === 0) {
             return res.json({ success: true, data: [], synced: false, message: '该页面尚未同步，请先执行同步' });
@@ -749,16 +1541,11 @@ router.post('/data/:databaseId/page/:pageId/sync', authenticate, async (req, res
         }
 
         // 2. 获取表名
-        const dsInfo = await db.query('SELECT name FROM notion_data_sources WHERE database_id = ? AND user_id = ? ORDER BY created_at DESC LIMIT 1', [databaseId, req.user.id]);
-
-        let baseTableName;
-        if (dsInfo.length > 0 && dsInfo[0].name) {
-            baseTableName = NotionClient.generateTableName(req.user.id, dsInfo[0].name);
-        } else {
-            baseTableName = `user_${req.user.id}_notion_data_${databaseId.replace(/-/g, '_')}`;
+        const resolved = await tables.resolve(req.user.id, databaseId, req.query.dataSourceId);
+        if (!resolved) {
+            return res.status(404).json({ success: false, message: '该数据库尚未同步，请先执行同步' });
         }
-
-        const detailTableName = baseTableName.replace(`_${req.user.id}`, `_detail_${req.user.id}`);
+        const detailTableName = tables.detailTableName(req.user.id, resolved.tableName);
 
         // 3. 确保表存在
         const createTableSql = `
@@ -876,14 +1663,26 @@ router.get('/users', authenticate, isAdmin, async (req, res) => {
  * PUT /api/users/:id
  */
 router.put('/users/:id', authenticate, isAdmin, async (req, res) => {
-    const { permissions, role, password } = req.body;
+    const { permissions, role, password: plainPassword } = req.body;
     const updates = {};
     if (permissions !== undefined) updates.permissions = permissions;
     if (role !== undefined) updates.role = role;
-    if (password !== undefined) updates.password = password;
+    if (plainPassword !== undefined) {
+        const weakness = password.checkStrength(plainPassword);
+        if (weakness) {
+            return res.status(400).json({ success: false, message: weakness });
+        }
+        updates.password = plainPassword;
+    }
 
     try {
         await Auth.updateUser(req.params.id, updates);
+        // 重置密码后该用户已登录的会话与个人访问令牌全部失效
+        if (updates.password !== undefined) {
+            await session.revokeAll(req.params.id);
+            await accessTokens.revokeAll(req.params.id);
+            return res.json({ success: true, message: '用户信息已更新，该用户的登录会话与个人访问令牌已全部吊销' });
+        }
         res.json({ success: true, message: '用户信息已更新' });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
@@ -896,6 +1695,9 @@ router.put('/users/:id', authenticate, isAdmin, async (req, res) => {
  */
 router.delete('/users/:id', authenticate, isAdmin, async (req, res) => {
     try {
+        // 先吊销凭据，删除失败时也不再可用 (删除成功后记录随外键级联删除)
+        await session.revokeAll(req.params.id);
+        await accessTokens.revokeAll(req.params.id);
         await Auth.deleteUser(req.params.id);
         res.json({ success: true, message: '用户已删除' });
     } catch (error) {
@@ -977,9 +1779,9 @@ router.get('/data-sources', authenticate, async (req, res) => {
             for (const source of dataSources) {
                 let fields = [];
 
-                if (source.name) {
+                const tableName = tables.tableNameOf(source);
+                if (tableName) {
                     try {
-                        const tableName = NotionClient.generateTableName(req.user.id, source.name);
                         const tableCheck = await db.query(
                             'SELECT COUNT(*) as exists_count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
                             [tableName]
@@ -989,7 +1791,7 @@ router.get('/data-sources', authenticate, async (req, res) => {
                             const columns = await db.query(`SHOW COLUMNS FROM \`${tableName}\``);
                             fields = columns
                                 .map(c => c.Field)
-                                .filter(name => name !== 'notion_id' && name !== 'synced_at');
+                                .filter(name => name !== 'notion_id' && !(name in NotionClient.SYSTEM_COLUMNS));
                         }
                     } catch (e) {
                         fields = [];
@@ -1010,12 +1812,14 @@ router.get('/data-sources', authenticate, async (req, res) => {
 });
 
 /**
- * 根据获取到的字段列属性重新创建对应的数据库表
+ * 根据获取到的字段列属性重建对应的数据库表结构
  * GET/POST /api/data_sources/:dataSourceId/recreate-table
+ * 与 refresh-schema 相同，使用 ALTER TABLE 保留数据；preview=true 时只返回计划执行的语句
  */
 router.all('/data_sources/:dataSourceId/recreate-table', authenticate, async (req, res) => {
     const { dataSourceId } = req.params;
     let databaseId = req.body.databaseId || req.query.databaseId;
+    const preview = parseFlag(req.body.preview !== undefined ? req.body.preview : req.query.preview);
 
     try {
         // 权限验证
@@ -1037,10 +1841,11 @@ router.all('/data_sources/:dataSourceId/recreate-table', authenticate, async (re
         }
 
         // 状态验证
-        const statusCheck = await db.query('SELECT status FROM notion_sync_targets WHERE database_id = ? AND user_id = ?', [databaseId, req.user.id]);
+        const statusCheck = await db.query('SELECT id, status FROM notion_sync_targets WHERE database_id = ? AND user_id = ?', [databaseId, req.user.id]);
         if (statusCheck.length > 0 && statusCheck[0].status === 0) {
             return res.status(403).json({ success: false, message: '该数据库链路已挂起，无法重新创建表' });
         }
+        const targetId = statusCheck.length > 0 ? statusCheck[0].id : null;
 
         const configs = await db.getAllConfigs(req.user.id);
         const apiKey = configs.notion_api_key;
@@ -1057,34 +1862,34 @@ router.all('/data_sources/:dataSourceId/recreate-table', authenticate, async (re
         const properties = structure.properties;
         const dsTitle = structure.title || 'notion_data';
 
-        // 2. 映射字段
-        const tableName = NotionClient.generateTableName(req.user.id, dsTitle);
-        const { columns } = notion.mapNotionToMysql(properties);
-
-        // 3. 重新建表 (先删后建)
-        await db.query(`DROP TABLE IF EXISTS \`${tableName}\``);
+        // 2. 映射字段 (标题变化时先重命名已有的表，预览时不改名)
+        const tableName = await tables.register(req.user.id, databaseId, { id: dataSourceId, name: null }, dsTitle, { preview });
+        const overrides = await fieldOverrides.load(targetId, dataSourceId);
+        const mapped = await SyncEngine.mapDataSource(notion, tableName, dataSourceId, properties, overrides);
 
-        const createTableSql = `CREATE TABLE \`${tableName}\` (
-            ${columns.join(', ')},
-            \`synced_at\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+        // 3. 对比现有字段并迁移表结构
+        const plan = await schema.migrate(tableName, mapped, { preview });
 
-        await db.query(createTableSql);
-
-        res.json({ success: true, message: `表 ${tableName} 已根据数据源 ${dataSourceId} 的结构重新创建` });
+        res.json({
+            success: true,
+            message: preview
+                ? `表 ${tableName} 的结构变更预览`
+                : `表 ${tableName} 已根据数据源 ${dataSourceId} 的结构更新`,
+            data: plan
+        });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 /**
- * 获取当前用户的配置 (用于回显)
+ * 获取当前用户的配置 (用于回显，密钥类配置只返回掩码)
  * GET /api/config
  */
 router.get('/config', authenticate, async (req, res) => {
     try {
         const configs = await db.getAllConfigs(req.user.id);
-        res.json({ success: true, data: configs });
+        res.json({ success: true, data: secrets.maskConfigs(configs) });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -1093,6 +1898,7 @@ router.get('/config', authenticate, async (req, res) => {
 /**
  * 同步整个 Notion 工作区的页面和数据库列表到数据库
  * POST /api/notion/workspace/sync
+ * Body: { force } force 为 true 时重新同步全部页面详情，否则只同步有修改的页面
  */
 router.post('/notion/workspace/sync', authenticate, async (req, res) => {
     try {
@@ -1116,6 +1922,7 @@ router.post('/notion/workspace/sync', authenticate, async (req, res) => {
                 \`title\` TEXT,
                 \`icon\` JSON,
                 \`last_edited_time\` DATETIME,
+                \`details_synced_at\` DATETIME NULL,
                 \`url\` TEXT,
                 \`raw_data\` JSON,
                 \`synced_at\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -1168,8 +1975,8 @@ router.post('/notion/workspace/sync', authenticate, async (req, res) => {
             );
         }
 
-        // 4. 后台触发所有页面的内容同步 (不等待结果)
-        SyncEngine.syncWorkspacePageDetails(req.user.id).catch(err => {
+        // 4. 后台触发页面内容同步 (不等待结果)，未修改的页面会被跳过
+        SyncEngine.syncWorkspacePageDetails(req.user.id, { force: parseFlag(req.body && req.body.force) }).catch(err => {
             console.error('Background detail sync trigger error:', err);
         });
 
@@ -1424,9 +2231,9 @@ router.post('/notion/page/:pageId/sync', authenticate, async (req, res) => {
  * 上报监控数据 (性能与错误)
  * POST /api/monitoring
  */
-router.post('/monitoring', async (req, res) => {
+router.post('/monitoring', identify, async (req, res) => {
     const { type, event, url, data, ua } = req.body;
-    const userId = req.headers['x-user-id'] || null;
+    const userId = req.user ? req.user.id : null;
 
     try {
         // 1. 插入新日志
@@ -1665,7 +2472,7 @@ router.post('/charts/preview', authenticate, async (req, res) => {
         }
 
         const source = dataSourceInfo[0];
-        const tableName = NotionClient.generateTableName(req.user.id, source.name);
+        const tableName = tables.tableNameOf(source);
 
         // 检查表是否存在
         const tableCheck = await db.query(
@@ -1702,8 +2509,10 @@ router.post('/charts/preview', authenticate, async (req, res) => {
                         timeRange === '90d' ? 90 : 
                         timeRange === '1y' ? 365 : 30;
             
-            timeFilter = `WHERE \`${xAxis}\` >= DATE_SUB(CURDATE(), INTERVAL ? DAY)`;
-            timeFilterParams = [days];
+            // 按用户时区的自然日计算起点 (同步表中的日期为该时区的本地时间)
+            const configs = await db.getAllConfigs(req.user.id);
+            timeFilter = `WHERE \`${xAxis}\` >= ?`;
+            timeFilterParams = [`${timezone.addDays(timezone.today(configs.timezone), -days)} 00:00:00`];
         }
 
         // 添加其他过滤器
@@ -1727,6 +2536,11 @@ router.post('/charts/preview', authenticate, async (req, res) => {
             });
         }
 
+        // 排除已在 Notion 中删除的记录
+        if (columnNames.includes('is_deleted')) {
+            filterConditions.push('`is_deleted` = 0');
+        }
+
         // 组合WHERE条件
         let whereClause = timeFilter;
         if (filterConditions.length > 0) {
@@ -1948,38 +2762,36 @@ router.get('/notion/page/:pageId', authenticate, async (req, res) => {
  * 可选参数:
  * - days: 天数范围，默认 30
  * - databaseId: 指定 Notion 数据库 ID（优先）
+ * - dataSourceId: 指定数据库下的数据源 ID（多数据源数据库时使用）
  */
 router.get('/charts/consumption/daily', authenticate, async (req, res) => {
     const days = parseInt(req.query.days) || 30;
     const databaseId = req.query.databaseId || null;
+    const dataSourceId = req.query.dataSourceId || null;
 
     try {
-        // 1) 解析消费记录的数据源名称
-        let dsName = null;
+        // 1) 解析消费记录数据源的同步表
+        let tableName = null;
         if (databaseId) {
-            const dsInfo = await db.query(
-                'SELECT name FROM notion_data_sources WHERE database_id = ? AND user_id = ? ORDER BY created_at DESC LIMIT 1',
-                [databaseId, req.user.id]
-            );
-            if (dsInfo.length > 0) {
-                dsName = dsInfo[0].name;
+            const resolved = await tables.resolve(req.user.id, databaseId, dataSourceId);
+            if (resolved) {
+                tableName = resolved.tableName;
             }
         }
-        if (!dsName) {
+        if (!tableName) {
             const candidates = await db.query(
-                "SELECT name FROM notion_data_sources WHERE user_id = ? AND (name LIKE '%消费%' OR name LIKE '%消費%' OR name LIKE '%xiaofei%' OR name LIKE '%xiao_fei%') ORDER BY created_at DESC LIMIT 1",
+                "SELECT * FROM notion_data_sources WHERE user_id = ? AND (name LIKE '%消费%' OR name LIKE '%消費%' OR name LIKE '%xiaofei%' OR name LIKE '%xiao_fei%') ORDER BY created_at DESC LIMIT 1",
                 [req.user.id]
             );
             if (candidates.length > 0) {
-                dsName = candidates[0].name;
+                tableName = tables.tableNameOf(candidates[0]);
             }
         }
-        if (!dsName) {
+        if (!tableName) {
             return res.status(404).json({ success: false, message: '未找到消费记录数据源，请在同步配置中添加包含“消费”名称的数据库' });
         }
 
-        // 2) 生成表名并检查是否存在
-        const tableName = NotionClient.generateTableName(req.user.id, dsName);
+        // 2) 检查表是否存在
         const tableCheck = await db.query(
             "SELECT COUNT(*) as exists_count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?",
             [tableName]
@@ -2013,35 +2825,26 @@ router.get('/charts/consumption/daily', authenticate, async (req, res) => {
         }
 
         // 4) 查询最近 N 天的日支出总和
+        // 同步表中的日期为用户时区的本地时间，"今天" 也按该时区计算，避免零点前后的记录归到相邻的一天
+        const configs = await db.getAllConfigs(req.user.id);
+        const startDay = timezone.addDays(timezone.today(configs.timezone), -(days - 1));
+        const notDeleted = columns.some(c => c.Field === 'is_deleted') ? 'AND `is_deleted` = 0' : '';
         const sql = `
-            SELECT DATE(\`${dateCol.Field}\`) AS day, COALESCE(SUM(\`${amountCol.Field}\`), 0) AS total
+            SELECT DATE_FORMAT(\`${dateCol.Field}\`, '%Y-%m-%d') AS day, COALESCE(SUM(\`${amountCol.Field}\`), 0) AS total
             FROM \`${tableName}\`
-            WHERE \`${dateCol.Field}\` >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+            WHERE \`${dateCol.Field}\` >= ? ${notDeleted}
             GROUP BY day
             ORDER BY day ASC
         `;
-        const rows = await db.query(sql, [days]);
-
-        const normalizeYmd = (d) => {
-            const date = new Date(d);
-            const y = date.getFullYear();
-            const m = String(date.getMonth() + 1).padStart(2, '0');
-            const dd = String(date.getDate()).padStart(2, '0');
-            return `${y}-${m}-${dd}`;
-        };
+        const rows = await db.query(sql, [`${startDay} 00:00:00`]);
+
         const map = new Map();
         rows.forEach(r => {
-            const key = normalizeYmd(r.day);
-            map.set(key, Number(r.total || 0));
+            map.set(r.day, Number(r.total || 0));
         });
-        const today = new Date();
-        const start = new Date();
-        start.setDate(today.getDate() - (days - 1));
         const full = [];
         for (let i = 0; i < days; i++) {
-            const d = new Date(start);
-            d.setDate(start.getDate() + i);
-            const key = normalizeYmd(d);
+            const key = timezone.addDays(startDay, i);
             full.push({ day: key, total: map.get(key) ?? 0 });
         }
 
@@ -2052,7 +2855,8 @@ router.get('/charts/consumption/daily', authenticate, async (req, res) => {
                 table: tableName,
                 amount_col: amountCol.Field,
                 date_col: dateCol.Field,
-                days
+                days,
+                timezone: configs.timezone || 'UTC'
             }
         });
     } catch (error) {
@@ -2064,30 +2868,27 @@ router.get('/charts/consumption/daily', authenticate, async (req, res) => {
 router.get('/charts/consumption/daily/details', authenticate, async (req, res) => {
     const date = req.query.date;
     const databaseId = req.query.databaseId || null;
+    const dataSourceId = req.query.dataSourceId || null;
     if (!date) {
         return res.status(400).json({ success: false, message: '缺少日期参数' });
     }
     try {
-        let dsName = null;
+        let tableName = null;
         if (databaseId) {
-            const dsInfo = await db.query(
-                'SELECT name FROM notion_data_sources WHERE database_id = ? AND user_id = ? ORDER BY created_at DESC LIMIT 1',
-                [databaseId, req.user.id]
-            );
-            if (dsInfo.length > 0) dsName = dsInfo[0].name;
+            const resolved = await tables.resolve(req.user.id, databaseId, dataSourceId);
+            if (resolved) tableName = resolved.tableName;
         }
-        if (!dsName) {
+        if (!tableName) {
             const candidates = await db.query(
-                "SELECT name FROM notion_data_sources WHERE user_id = ? AND (name LIKE '%消费%' OR name LIKE '%消費%' OR name LIKE '%xiaofei%' OR name LIKE '%xiao_fei%') ORDER BY created_at DESC LIMIT 1",
+                "SELECT * FROM notion_data_sources WHERE user_id = ? AND (name LIKE '%消费%' OR name LIKE '%消費%' OR name LIKE '%xiaofei%' OR name LIKE '%xiao_fei%') ORDER BY created_at DESC LIMIT 1",
                 [req.user.id]
             );
-            if (candidates.length > 0) dsName = candidates[0].name;
+            if (candidates.length > 0) tableName = tables.tableNameOf(candidates[0]);
         }
-        if (!dsName) {
+        if (!tableName) {
             return res.status(404).json({ success: false, message: '未找到消费记录数据源' });
         }
 
-        const tableName = NotionClient.generateTableName(req.user.id, dsName);
         const tableCheck = await db.query(
             "SELECT COUNT(*) as exists_count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?",
             [tableName]
@@ -2101,9 +2902,10 @@ router.get('/charts/consumption/daily/details', authenticate, async (req, res) =
         const preferredDateCol = columns.find(c => c.Field === 'xiao_fei_ri_qi');
         const dateCol = preferredDateCol || columns.find(c => /(datetime|timestamp|date)/i.test(c.Type)) || columns[0];
 
+        const notDeleted = columns.some(c => c.Field === 'is_deleted') ? 'AND `is_deleted` = 0' : '';
         const sql = `
             SELECT * FROM \`${tableName}\`
-            WHERE DATE(\`${dateCol.Field}\`) = ?
+            WHERE DATE(\`${dateCol.Field}\`) = ? ${notDeleted}
             ORDER BY \`${dateCol.Field}\` ASC
             LIMIT 500
         `;
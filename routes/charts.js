@@ -1,37 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../lib/db');
-const Auth = require('../lib/auth');
-const { StatusCode } = require('../lib/constants');
-
-/**
- * Middleware: Authenticate User
- */
-const authenticate = async (req, res, next) => {
-    const userId = req.headers['x-user-id'];
-    if (!userId) {
-        return res.status(401).json({ 
-            success: false, 
-            message: 'Unauthorized: Missing User ID',
-            code: StatusCode.UNAUTHORIZED
-        });
-    }
-    try {
-        const user = await Auth.getUser(userId);
-        if (!user) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Unauthorized: Invalid User',
-                code: StatusCode.UNAUTHORIZED
-            });
-        }
-        req.user = user;
-        next();
-    } catch (error) {
-        console.error('Authentication error:', error);
-        res.status(500).json({ success: false, message: 'Internal Server Error' });
-    }
-};
+const { authenticate } = require('../lib/authMiddleware');
 
 router.use(authenticate);
 
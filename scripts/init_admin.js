@@ -0,0 +1,62 @@
+/**
+ * 创建管理员账号，或重置仍在使用旧版默认密码 (admin123) 的管理员，生成随机密码并打印一次
+ *
+ * 用法:
+ *   npm run init-admin                     # 用户名默认为 admin
+ *   npm run init-admin -- <用户名> [--reset] # --reset 强制为已存在的账号重新生成密码
+ * 新账号拥有 dict_table 中登记的全部权限；重置密码后该账号已登录的会话与个人访问令牌全部失效
+ */
+const crypto = require('crypto');
+const db = require('../lib/db');
+const Auth = require('../lib/auth');
+const password = require('../lib/password');
+const session = require('../lib/session');
+const accessTokens = require('../lib/accessTokens');
+
+// 旧版 init.sql 写入的默认密码
+const LEGACY_PASSWORD = 'admin123';
+
+function generatePassword(username) {
+    for (;;) {
+        const value = crypto.randomBytes(15).toString('base64url');
+        if (!password.checkStrength(value, username)) return value;
+    }
+}
+
+async function initAdmin(username, force) {
+    const users = await db.query('SELECT id, password FROM users WHERE username = ?', [username]);
+    const plainPassword = generatePassword(username);
+
+    if (users.length === 0) {
+        const rows = await db.query("SELECT dict_code FROM dict_table WHERE category = 'permission'");
+        await Auth.createUser(username, plainPassword, rows.map(row => row.dict_code).join(','), 'admin');
+        return { action: 'created', plainPassword };
+    }
+
+    const user = users[0];
+    const { valid: legacy } = await password.verify(LEGACY_PASSWORD, user.password);
+    if (!force && !legacy) {
+        return { action: 'unchanged' };
+    }
+    await Auth.updateUser(user.id, { password: plainPassword });
+    await session.revokeAll(user.id);
+    await accessTokens.revokeAll(user.id);
+    return { action: 'reset', plainPassword };
+}
+
+const args = process.argv.slice(2);
+const username = args.find(arg => !arg.startsWith('--')) || 'admin';
+
+initAdmin(username, args.includes('--reset'))
+    .then(({ action, plainPassword }) => {
+        if (action === 'unchanged') {
+            console.log(`User ${username} already exists with a non-default password, nothing changed (pass --reset to generate a new one).`);
+        } else {
+            console.log(`${action === 'created' ? 'Created admin' : 'Reset password of'} ${username}. Password (shown only once): ${plainPassword}`);
+        }
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Error initializing admin:', error.message);
+        process.exit(1);
+    });
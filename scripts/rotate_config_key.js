@@ -0,0 +1,64 @@
+/**
+ * 用新的 CONFIG_ENCRYPTION_KEY 重新加密 user_configs 中的全部敏感配置
+ * 升级前保存的明文也会在此时加密
+ *
+ * 用法:
+ *   CONFIG_ENCRYPTION_KEY_OLD=<旧密钥> CONFIG_ENCRYPTION_KEY=<新密钥> npm run rotate-config-key
+ * 首次启用加密 (库中只有明文) 时可不设置 CONFIG_ENCRYPTION_KEY_OLD
+ * 全部记录在一个事务中更新，任一记录无法解密时整体回滚；完成后把服务的 CONFIG_ENCRYPTION_KEY 换成新密钥再重启
+ */
+const db = require('../lib/db');
+const secrets = require('../lib/secrets');
+
+async function rotate() {
+    const newKey = secrets.deriveKey(process.env.CONFIG_ENCRYPTION_KEY);
+    const oldKey = process.env.CONFIG_ENCRYPTION_KEY_OLD ? secrets.deriveKey(process.env.CONFIG_ENCRYPTION_KEY_OLD) : null;
+    const placeholders = secrets.SECRET_KEYS.map(() => '?').join(', ');
+
+    return db.transaction(async (tx) => {
+        const rows = await tx.query(
+            `SELECT id, user_id, config_key, config_value FROM user_configs WHERE config_key IN (${placeholders}) FOR UPDATE`,
+            secrets.SECRET_KEYS
+        );
+
+        const stats = { total: rows.length, reencrypted: 0, encrypted: 0, skipped: 0 };
+        for (const row of rows) {
+            if (!row.config_value) {
+                stats.skipped++;
+                continue;
+            }
+
+            try {
+                let plain;
+                if (!secrets.isEncrypted(row.config_value)) {
+                    plain = row.config_value;
+                    stats.encrypted++;
+                } else {
+                    // 重复执行时记录已是新密钥加密，旧密钥解不开再用新密钥尝试
+                    try {
+                        plain = secrets.decrypt(row.config_value, oldKey || newKey);
+                    } catch (error) {
+                        if (!oldKey) throw error;
+                        plain = secrets.decrypt(row.config_value, newKey);
+                    }
+                    stats.reencrypted++;
+                }
+                await tx.query('UPDATE user_configs SET config_value = ? WHERE id = ?', [secrets.encrypt(plain, newKey), row.id]);
+            } catch (error) {
+                error.message = `user ${row.user_id} ${row.config_key}: ${error.message}`;
+                throw error;
+            }
+        }
+        return stats;
+    });
+}
+
+rotate()
+    .then((stats) => {
+        console.log(`Rotated ${stats.total} secret configs: ${stats.reencrypted} re-encrypted, ${stats.encrypted} plaintext encrypted, ${stats.skipped} empty skipped.`);
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Error rotating config encryption key:', error.message);
+        process.exit(1);
+    });
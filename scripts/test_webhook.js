@@ -0,0 +1,55 @@
+const http = require('../lib/http');
+const webhook = require('../lib/webhook');
+
+/**
+ * 向本地服务发送签名的 Notion Webhook 事件，用于调试 /api/webhooks/notion/:userId
+ *
+ * 用法:
+ *   node scripts/test_webhook.js <userId> <secret> <eventType> <entityId> [parentType] [parentId] [dataSourceId]
+ *
+ * 示例:
+ *   node scripts/test_webhook.js 1 secret_xxx page.properties_updated <pageId> database <databaseId> <dataSourceId>
+ *   node scripts/test_webhook.js 1 secret_xxx data_source.content_updated <dataSourceId> database <databaseId>
+ *   node scripts/test_webhook.js 1 secret_xxx database.schema_updated <databaseId>
+ *
+ * secret 为该用户配置的 notion_webhook_secret；服务地址可通过 WEBHOOK_BASE_URL 指定，默认 http://localhost:3000
+ */
+async function test() {
+    const [userId, secret, eventType, entityId, parentType, parentId, dataSourceId] = process.argv.slice(2);
+    if (!userId || !secret || !eventType || !entityId) {
+        console.log('Usage: node scripts/test_webhook.js <userId> <secret> <eventType> <entityId> [parentType] [parentId] [dataSourceId]');
+        process.exit(1);
+    }
+
+    const event = {
+        id: `test-${Date.now()}`,
+        timestamp: new Date().toISOString(),
+        type: eventType,
+        entity: { id: entityId, type: eventType.split('.')[0] },
+        data: {}
+    };
+    if (parentType && parentId) {
+        event.data.parent = { id: parentId, type: parentType };
+        if (dataSourceId) event.data.parent.data_source_id = dataSourceId;
+    }
+
+    const body = JSON.stringify(event);
+    const baseUrl = process.env.WEBHOOK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+    try {
+        console.log(`--- Sending ${eventType} to ${baseUrl}/api/webhooks/notion/${userId} ---`);
+        const response = await http.post(`${baseUrl}/api/webhooks/notion/${userId}`, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Notion-Signature': webhook.sign(body, secret)
+            }
+        });
+        console.log(response.status, JSON.stringify(response.data, null, 2));
+    } catch (error) {
+        console.error('Request failed:', error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message);
+    } finally {
+        process.exit();
+    }
+}
+
+test();